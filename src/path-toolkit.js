@@ -76,6 +76,38 @@ var isObject = function(val){
     return ( (typeof val === 'function') || (typeof val === 'object') );
 };
 
+/**
+ * Inspect input value and determine whether it is a plain object, created by an object
+ * literal, `new Object` or `Object.create(null)`. Arrays, functions and class instances are not.
+ * @private
+ * @param  {Object}  val Thing to examine, may be of any type
+ * @return {Boolean}     True if thing is a plain object
+ */
+var isPlainObject = function(val){
+    var proto;
+    if (val === null || typeof val !== 'object'){ return false; }
+    proto = Object.getPrototypeOf(val);
+    return proto === null || proto === Object.prototype;
+};
+
+/**
+ * Copy the own enumerable properties of an object or the elements of an array into a new
+ * one with the same prototype. Properties are defined rather than assigned, so that a key
+ * like "__proto__" is copied as data.
+ * @private
+ * @param  {Object} val Object or array
+ * @return {Object}     Shallow copy
+ */
+var shallowCopy = function(val){
+    var copy;
+    if (Array.isArray(val)){ return val.slice(); }
+    copy = Object.create(Object.getPrototypeOf(val));
+    Object.keys(val).forEach(function(key){
+        Object.defineProperty(copy, key, {value: val[key], writable: true, enumerable: true, configurable: true});
+    });
+    return copy;
+};
+
 /**
  * Inspect input value and determine whether it is an Integer or not.
  * Values of undefined and null will return "false".
@@ -88,6 +120,143 @@ var isDigits = function(val){
     return digitsRegex.test(val);
 };
 
+/**
+ * Matches an array index as JSON Pointer writes it (RFC 6901): "0", or digits without
+ * a leading zero, so that "01" is not taken for index 1.
+ * @private
+ */
+var pointerIndexRegex = /^(0|[1-9]\d*)$/;
+
+/**
+ * Token for a quoted path segment. A quoted negative integer, like ["-1"], is stored as
+ * {q: "-1"} so that it names a property rather than counting back from the end of an array.
+ * A quoted segment made only of digits, like ["0"], is stored as {q: "0"} only if "keepIndex"
+ * is true, to remember that it names an object key where a new array could be created.
+ * Any other quoted segment is a plain property string.
+ * @private
+ * @param  {String} str       Segment without its quotes
+ * @param  {Boolean} keepIndex Optional; True to keep quoted digits apart from array indices
+ * @return {Any}              String or {q} token
+ */
+var quotedKey = function(str, keepIndex){
+    return negativeIndexRegex.test(str) || (keepIndex && isDigits(str)) ? {'q': str} : str;
+};
+
+/**
+ * Test whether a token array is "simple", so the quick resolvers may evaluate it: plain
+ * property names only, none of them empty, since those resolvers stop at an empty name.
+ * @private
+ * @param  {Array} tk Token array
+ * @return {Boolean}  True if every token is a non-empty string
+ */
+var isSimpleTokens = function(tk){
+    return tk.every(function(token){ return typeof token === $STRING && token !== ''; });
+};
+
+/**
+ * Matches a binding name in a named placeholder like "%{userId}".
+ * @private
+ */
+var bindingNameRegex = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Property names which lead from an object into its prototype, refused while the
+ * "protect" option is on. Kept as an array since an object literal cannot hold "__proto__".
+ * @private
+ */
+var protectedKeys = ['__proto__', 'prototype', 'constructor'];
+
+/**
+ * Public functions which only read the locations they resolve, so `locate` lets them read
+ * protected property names which are an object's own data.
+ * @private
+ */
+var locationReaders = ['get', 'has', 'getPaths', 'expand'];
+
+/**
+ * Convert a negative index segment like "-1" to the matching position counted
+ * back from the end of the array, the same way `Array.prototype.at` does.
+ * Keys for non-array objects and all other segments are returned unchanged.
+ * @private
+ * @param  {Object} obj Object the key will be applied to
+ * @param  {String} key Property name or index from the path
+ * @return {String|Number} Property to read from `obj`, or `undefined` if a negative index reaches past the start of the array
+ */
+var negativeIndexRegex = /^-\d+$/;
+var resolveIndex = function(obj, key){
+    var idx;
+    if (Array.isArray(obj) && negativeIndexRegex.test(key)){
+        idx = obj.length + parseInt(key, 10);
+        return idx < 0 ? UNDEF : idx;
+    }
+    return key;
+};
+
+/**
+ * Matches the contents of a slice container like "[1:4]", "[:3]", "[::2]" or "[-3:]".
+ * Captures start, end and step; any of them may be empty.
+ * @private
+ */
+var sliceRegex = /^\s*(-?\d*)\s*:\s*(-?\d*)\s*(?::\s*(-?\d*)\s*)?$/;
+
+/**
+ * Convert a `sliceRegex` match into slice token values [start, end, step],
+ * using `null` for any value that was not given.
+ * @private
+ * @param  {Array} match Result of `sliceRegex.exec`
+ * @return {Array}       Slice token values
+ */
+var sliceValues = function(match){
+    return match.slice(1).map(function(val){
+        return val === UNDEF || val === '' ? null : parseInt(val, 10);
+    });
+};
+
+/**
+ * List the array indices selected by a slice token, following the same rules
+ * as Python slices: negative start and end count back from the end of the array,
+ * out of range values are clamped, and a negative step walks the array backwards.
+ * @private
+ * @param  {Number} length Length of the array being sliced
+ * @param  {Array} slice  Slice token values [start, end, step], where `null` means "not given"
+ * @return {Array}        Selected indices, in order
+ */
+var sliceIndices = function(length, slice){
+    var step = slice[2] === null ? 1 : slice[2],
+        lower = step > 0 ? 0 : -1,
+        upper = step > 0 ? length : length - 1,
+        bound = function(val, dflt){
+            if (val === null){ return dflt; }
+            if (val < 0){ val += length; }
+            return val < lower ? lower : val > upper ? upper : val;
+        },
+        start = bound(slice[0], step > 0 ? lower : upper),
+        end = bound(slice[1], step > 0 ? upper : lower),
+        indices = [];
+
+    for (; step > 0 ? start < end : start > end; start += step){
+        indices.push(start);
+    }
+    return indices;
+};
+
+/**
+ * Collect the values selected by a slice token into a new array. In `set`
+ * scenario, the new value is written to every selected index first.
+ * @private
+ * @param  {Array} ary       Array being sliced
+ * @param  {Array} slice     Slice token values [start, end, step]
+ * @param  {Boolean} setHere True if the new value must be written at the selected indices
+ * @param  {Any} newValue    The new value to set
+ * @return {Array}           Selected values
+ */
+var sliceArray = function(ary, slice, setHere, newValue){
+    return sliceIndices(ary.length, slice).map(function(idx){
+        if (setHere){ ary[idx] = newValue; }
+        return ary[idx];
+    });
+};
+
 /**
  * Convert various values to true boolean `true` or `false`.
  * For non-string values, the native javascript idea of "true" will apply.
@@ -112,14 +281,478 @@ var truthify = function(val){
  * of the quote character within the string and return quote+string+quote.
  * The character defined as "singlequote" may be altered by custom options,
  * so a general-purpose function is needed to quote path segments correctly.
+ * Backslashes within the string are escaped as well, since the tokenizer
+ * treats them as escape characters even inside quotes.
  * @private
  * @param  {String} q   Single-character string to use as quote character
  * @param  {String} str String to be quoted.
+ * @param  {String} closer Optional; Closing quote character, if different from "q"
  * @return {String}     Original string, surrounded by the quote character, possibly modified internally if the quote character exists within the string.
  */
-var quoteString = function(q, str){
-    var qRegEx = new RegExp(q, 'g');
-    return q + str.replace(qRegEx, '\\' + q) + q;
+var quoteString = function(q, str, closer){
+    closer = closer || q;
+    return q + str.split('\\').join('\\\\').split(closer).join('\\' + closer) + closer;
+};
+
+/**
+ * Convert an array of property names and indices into an RFC 6901 JSON Pointer.
+ * Within each segment, "~" is written as "~0" and "/" as "~1".
+ * ```javascript
+ * segmentsToPointer(['a', 'b/c', 0]); // '/a/b~1c/0'
+ * segmentsToPointer([]); // '' (the whole document)
+ * ```
+ * @private
+ * @param  {Array} segments Property names and indices
+ * @return {String}         JSON Pointer
+ */
+var segmentsToPointer = function(segments){
+    return segments.map(function(segment){
+        return '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }).join('');
+};
+
+/**
+ * Convert an RFC 6901 JSON Pointer into an array of property names. Also accepts
+ * the URI fragment representation of a pointer ("#/a/b"), which is percent-decoded.
+ * Throws `PathSyntaxError` if the pointer is not valid.
+ * @private
+ * @param  {String} pointer JSON Pointer
+ * @return {Array}          Property names
+ */
+var pointerToSegments = function(pointer){
+    var str = pointer,
+        badEscape;
+    if (str.charAt(0) === '#'){
+        try {
+            str = decodeURIComponent(str.substr(1));
+        }
+        catch(e){
+            if (!(e instanceof URIError)){ throw e; }
+            badEscape = str.search(/%(?![0-9a-fA-F]{2})/);
+            throw new PathSyntaxError(pointer, badEscape === -1 ? str.indexOf('%') : badEscape, 'percent-encoded UTF-8 in URI fragment');
+        }
+    }
+    if (str === ''){ return []; }
+    if (str.charAt(0) !== '/'){
+        throw new PathSyntaxError(pointer, 0, '\'/\' at start of JSON Pointer');
+    }
+    badEscape = str.search(/~[^01]|~$/);
+    if (badEscape !== -1){
+        throw new PathSyntaxError(str, badEscape + 1, '\'0\' or \'1\' after \'~\' in JSON Pointer');
+    }
+    return str.substr(1).split('/').map(function(segment){
+        return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+};
+
+/**
+ * Error thrown when a keypath can not be tokenized. In addition to the usual
+ * message, the error carries the position of the problem within the keypath,
+ * the character found there, a description of what the tokenizer expected to
+ * find instead, and a snippet of the keypath with a caret pointing at the
+ * offending character, suitable for display to the user.
+ * ```javascript
+ * // err.snippet for "accounts{1.test2":
+ * // accounts{1.test2
+ * //                 ^
+ * ```
+ * @constructor
+ * @param {String} path     The full keypath that failed to tokenize
+ * @param {Number} offset   Index within "path" where the problem was detected
+ * @param {String} expected Description of what was expected at "offset"
+ */
+var PathSyntaxError = function(path, offset, expected){
+    this.path = path;
+    this.offset = offset;
+    this.character = path.charAt(offset);
+    this.expected = expected;
+    this.snippet = path + '\n' + new Array(offset + 1).join(' ') + '^';
+    this.message = 'Invalid path at offset ' + offset + ': expected ' + expected + '\n' + this.snippet;
+    this.stack = (new Error(this.message)).stack;
+};
+PathSyntaxError.prototype = Object.create(Error.prototype);
+PathSyntaxError.prototype.constructor = PathSyntaxError;
+PathSyntaxError.prototype.name = 'PathSyntaxError';
+
+/**
+ * Comparison operators allowed in filter expressions. Two-character operators
+ * are listed first so they are matched before their one-character prefixes.
+ * @private
+ */
+var filterComparisons = ['==', '!=', '<=', '>=', '=~', '<', '>'];
+
+/**
+ * Matches characters which end a path or value within a filter expression.
+ * @private
+ */
+var filterTerminatorRegex = /[\s=!<>&|)]/;
+
+/**
+ * Matches a number literal at the start of the remaining filter expression.
+ * @private
+ */
+var filterNumberRegex = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/;
+
+/**
+ * Parse a filter expression like "age > 30 && name =~ /^J/" into an expression tree.
+ * Operators, from lowest to highest precedence, are "||", "&&", the comparisons
+ * (==, !=, <, <=, >, >=, and =~ for regular expression matches), and "!". Parentheses
+ * group sub-expressions. Operands are literals (numbers, quoted strings, true, false,
+ * null, /regex/flags), numbered placeholders ("%1"), or paths relative to the element
+ * being tested. Paths are read up to whitespace or an operator character, skipping over
+ * whole containers, and are compiled with the "readPath" callback.
+ * Tree nodes are {op, a, b} for operators ("b" is absent for "!"), {v} for literals,
+ * {re, flags} for regular expressions, {p} for placeholders and {path} for paths.
+ * @private
+ * @param  {String} src           Filter expression, without the leading "?"
+ * @param  {Function} readPath    Called as readPath(text, offset) to compile a relative path; may throw `PathSyntaxError`
+ * @param  {Object} containers    Map of container opener characters to closer characters, skipped as a whole within paths
+ * @param  {String} placeholder   Placeholder prefix character, or empty string if placeholders are not allowed
+ * @return {Object}               Expression tree
+ * @throws {PathSyntaxError} With offsets relative to "src"
+ */
+var parseFilter = function(src, readPath, containers, placeholder){
+    var len = src.length,
+        i = 0,
+        tree;
+
+    var expected = function(what){
+        throw new PathSyntaxError(src, i, what);
+    };
+    var skipSpace = function(){
+        while (i < len && /\s/.test(src[i])){ i++; }
+    };
+    var parseOr = function(){
+        var node = parseAnd();
+        while (src.substr(i, 2) === '||'){
+            i += 2;
+            node = {'op': '||', 'a': node, 'b': parseAnd()};
+        }
+        return node;
+    };
+    var parseAnd = function(){
+        var node = parseComparison();
+        while (src.substr(i, 2) === '&&'){
+            i += 2;
+            node = {'op': '&&', 'a': node, 'b': parseComparison()};
+        }
+        return node;
+    };
+    var parseComparison = function(){
+        var node = parseUnary(),
+            op;
+        skipSpace();
+        op = filterComparisons.filter(function(candidate){ return src.substr(i, candidate.length) === candidate; })[0];
+        if (op){
+            i += op.length;
+            node = {'op': op, 'a': node, 'b': parseUnary()};
+            skipSpace();
+        }
+        return node;
+    };
+    var parseUnary = function(){
+        skipSpace();
+        if (src[i] === '!'){
+            i++;
+            return {'op': '!', 'a': parseUnary()};
+        }
+        return parseOperand();
+    };
+    var parseOperand = function(){
+        var start = i,
+            text = '',
+            node, match, opener, closer, depth;
+
+        if (i >= len){ expected('value or path'); }
+        // Parenthesized sub-expression
+        if (src[i] === '('){
+            i++;
+            node = parseOr();
+            skipSpace();
+            if (src[i] !== ')'){ expected('\')\''); }
+            i++;
+            return node;
+        }
+        // Quoted string literal
+        if (src[i] === '\'' || src[i] === '"'){
+            opener = src[i++];
+            while (i < len && src[i] !== opener){
+                if (src[i] === '\\'){ i++; }
+                text += src.charAt(i++);
+            }
+            if (i >= len){ expected('closing ' + opener + ' for string'); }
+            i++;
+            return {'v': text};
+        }
+        // Regular expression literal
+        if (src[i] === '/'){
+            i++;
+            while (i < len && src[i] !== '/'){
+                if (src[i] === '\\'){ text += src[i++]; }
+                text += src.charAt(i++);
+            }
+            if (i >= len){ expected('closing / for regular expression'); }
+            node = {'re': text, 'flags': /^[gimsuy]*/.exec(src.slice(++i))[0]};
+            i += node.flags.length;
+            try { new RegExp(node.re, node.flags); }
+            catch(e){ i = start; expected('valid regular expression'); }
+            return node;
+        }
+        // Number literal
+        match = filterNumberRegex.exec(src.slice(i));
+        if (match && (i + match[0].length >= len || filterTerminatorRegex.test(src[i + match[0].length]))){
+            i += match[0].length;
+            return {'v': parseFloat(match[0])};
+        }
+        // Path, placeholder, or keyword literal
+        while (i < len && !filterTerminatorRegex.test(src[i])){
+            if (src[i] === '\\'){
+                text += src[i++];
+            }
+            else if (containers[src[i]] !== UNDEF){
+                opener = src[i];
+                closer = containers[opener];
+                depth = 1;
+                text += src[i++];
+                while (i < len && depth > 0){
+                    if (src[i] === '\\'){ text += src[i++]; }
+                    else if (src[i] === closer){ depth--; }
+                    else if (src[i] === opener){ depth++; }
+                    text += src.charAt(i++);
+                }
+                if (depth > 0){ expected('closer \'' + closer + '\' for container'); }
+                continue;
+            }
+            text += src.charAt(i++);
+        }
+        if (!text){ expected('value or path'); }
+        if (text === 'true' || text === 'false'){ return {'v': text === 'true'}; }
+        if (text === 'null'){ return {'v': null}; }
+        if (placeholder && text.charAt(0) === placeholder && isDigits(text.slice(1))){
+            return {'p': parseInt(text.slice(1), 10)};
+        }
+        return {'path': readPath(text, start)};
+    };
+
+    tree = parseOr();
+    skipSpace();
+    if (i < len){ expected('operator or end of filter'); }
+    return tree;
+};
+
+/**
+ * Compile a JSONPath expression ("$.store.book[*].author") into the equivalent PathToolkit
+ * token set. JSONPath is not affected by the PathToolkit syntax configuration, so the result
+ * may be used with any PathToolkit instance.
+ * JSONPath selectors that may match more than one value (wildcards, unions, slices, filters
+ * and recursive descent) become wildcard, collection, slice, filter and "**" tokens. Any selectors following those are applied to each matched
+ * value with the "each" operation, so "$.book[*].author" is equivalent to "book.*<author".
+ * A name after the first of those is a quoted key ({q}), so it is never read as a wildcard.
+ * Names and indices there are marked "skip": a matched value which lacks the property is
+ * left out of the result, as in JSONPath, instead of making the whole path `undefined`.
+ * Further multi-match selectors are marked "flat", so that their matches for all values form a
+ * single list, as in JSONPath: "$.a[*].b[*]" lists every element of every "b".
+ * Syntax errors throw `PathSyntaxError`. Selectors with no PathToolkit equivalent throw an
+ * Error naming the unsupported construct.
+ * @private
+ * @param  {String} expr JSONPath expression
+ * @return {Object}      Token set
+ */
+var parseJSONPath = function(expr){
+    var tokens = [],
+        len = expr.length,
+        i = 1,
+        multi = false, // a previous selector may have matched more than one value
+        deep = false, // the next selector follows recursive descent ".."
+        start, name, members, quote, close, slice;
+
+    var unsupported = function(construct){
+        throw new Error('fromJSONPath - ' + construct + ' at offset ' + i + ' is not supported');
+    };
+    var skipSpace = function(){
+        while (i < len && (expr[i] === ' ' || expr[i] === '\t')){ i++; }
+    };
+    var addToken = function(token, isMulti){
+        if (deep){
+            token = {'dd': token, 'doEach': false};
+            isMulti = true;
+            deep = false;
+        }
+        if (isMulti){
+            // A further multi-match selector applies to every match so far, adding its own matches to one list
+            if (multi){
+                token.doEach = true;
+                token.flat = true;
+            }
+            multi = true;
+            tokens.push(token);
+        }
+        // A single selector applies to every match: names are literal, indices may count back from the end.
+        // As in JSONPath, matches which lack the property are left out rather than failing the path.
+        else if (multi){
+            tokens.push(isDigits(token) || negativeIndexRegex.test(token) ? {'w': token, 'mods': {}, 'doEach': true, 'skip': true} : {'q': token, 'doEach': true, 'skip': true});
+        }
+        else {
+            tokens.push(token);
+        }
+    };
+
+    // Filter selector "[?(expression)]" with paths relative to the current element "@"
+    var parseJSONPathFilter = function(){
+        var start = ++i,
+            depth = 0,
+            quote = '',
+            src;
+        skipSpace();
+        if (expr[i] !== '('){
+            throw new PathSyntaxError(expr, i, '\'(\' after \'?\' in filter');
+        }
+        // Find the closing parenthesis, skipping over quoted strings
+        do {
+            if (quote){
+                if (expr[i] === '\\'){ i++; }
+                else if (expr[i] === quote){ quote = ''; }
+            }
+            else if (expr[i] === '\'' || expr[i] === '"'){ quote = expr[i]; }
+            else if (expr[i] === '('){ depth++; }
+            else if (expr[i] === ')'){ depth--; }
+            i++;
+        } while (i < len && depth > 0);
+        if (depth > 0){
+            throw new PathSyntaxError(expr, len, '\')\' to close filter');
+        }
+        src = expr.slice(start, i);
+        skipSpace();
+        if (expr[i] !== ']'){
+            throw new PathSyntaxError(expr, i, '\']\' after filter');
+        }
+        i++;
+        try {
+            return parseFilter(src, function(text, offset){
+                if (text.charAt(0) !== '@'){
+                    throw new PathSyntaxError(src, offset, '\'@\' at start of path in filter');
+                }
+                if (text === '@'){ return {t: [], simple: true}; }
+                try {
+                    return parseJSONPath('$' + text.substr(1));
+                }
+                catch(e){
+                    if (!(e instanceof PathSyntaxError)){ throw e; }
+                    throw new PathSyntaxError(src, offset + e.offset, e.expected);
+                }
+            }, {'[': ']'}, '');
+        }
+        catch(e){
+            if (!(e instanceof PathSyntaxError)){ throw e; }
+            throw new PathSyntaxError(expr, start + e.offset, e.expected);
+        }
+    };
+
+    if (expr.charAt(0) !== '$'){
+        throw new PathSyntaxError(expr, 0, '\'$\' at start of JSONPath expression');
+    }
+    while (i < len){
+        // Dot-notation child: .name or .*
+        if (expr[i] === '.'){
+            // Recursive descent: "..name", "..*" or "..[selector]"
+            if (expr[i+1] === '.'){
+                deep = true;
+                i++;
+                if (expr[i+1] === '['){
+                    i++;
+                    continue;
+                }
+            }
+            start = ++i;
+            while (i < len && expr[i] !== '.' && expr[i] !== '['){ i++; }
+            name = expr.slice(start, i);
+            if (!name){
+                throw new PathSyntaxError(expr, start, 'property name after \'.\'');
+            }
+            addToken(name === $WILDCARD ? {'w': $WILDCARD, 'mods': {}, 'doEach': false} : name, name === $WILDCARD);
+        }
+        // Bracket-notation child: [*], [0], ['name'], or a union of indices and names
+        else if (expr[i] === '['){
+            i++;
+            skipSpace();
+            if (expr[i] === '?'){
+                addToken({'f': parseJSONPathFilter(), 'doEach': false}, true);
+                continue;
+            }
+            if (expr[i] === '('){ unsupported('script expression'); }
+            if (expr[i] === $WILDCARD){
+                i++;
+                skipSpace();
+                if (expr[i] !== ']'){
+                    throw new PathSyntaxError(expr, i, '\']\' after wildcard');
+                }
+                addToken({'w': $WILDCARD, 'mods': {}, 'doEach': false}, true);
+                i++;
+                continue;
+            }
+            close = expr.indexOf(']', i);
+            slice = close === -1 ? null : sliceRegex.exec(expr.slice(i, close));
+            if (slice){
+                slice = sliceValues(slice);
+                if (slice[2] === 0){
+                    throw new PathSyntaxError(expr, i, 'non-zero step in slice');
+                }
+                addToken({'sl': slice, 'doEach': false}, true);
+                i = close + 1;
+                continue;
+            }
+            members = [];
+            do {
+                skipSpace();
+                if (expr[i] === '\'' || expr[i] === '"'){
+                    start = i;
+                    quote = expr[i++];
+                    name = '';
+                    while (i < len && expr[i] !== quote){
+                        if (expr[i] === '\\'){ i++; }
+                        name += expr.charAt(i++);
+                    }
+                    if (i >= len){
+                        throw new PathSyntaxError(expr, i, 'closing ' + quote + ' for name opened at ' + start);
+                    }
+                    i++;
+                }
+                else {
+                    start = i;
+                    if (expr[i] === '-'){ i++; }
+                    while (i < len && expr[i] >= '0' && expr[i] <= '9'){ i++; }
+                    name = expr.slice(start, i);
+                    skipSpace();
+                    if (expr[i] === ':'){ unsupported('array slice inside a union'); }
+                    if (!isDigits(name.replace(/^-/, ''))){
+                        throw new PathSyntaxError(expr, start, 'index, quoted name, or \'*\' inside \'[ ]\'');
+                    }
+                }
+                members.push(name);
+                skipSpace();
+                if (expr[i] !== ',' && expr[i] !== ']'){
+                    throw new PathSyntaxError(expr, i, '\',\' or \']\'');
+                }
+            } while (expr[i++] === ',');
+            if (members.length === 1){
+                addToken(members[0], false);
+            }
+            else {
+                addToken({'tt': members, 'doEach': false}, true);
+            }
+        }
+        else {
+            throw new PathSyntaxError(expr, i, '\'.\' or \'[\'');
+        }
+    }
+
+    if (deep){
+        throw new PathSyntaxError(expr, len, 'selector after \'..\'');
+    }
+    return {
+        t: tokens,
+        simple: isSimpleTokens(tokens)
+    };
 };
 
 /**
@@ -131,16 +764,19 @@ var quoteString = function(q, str){
  */
 var PathToolkit = function(options){
     var _this = this,
-        cache = {},
+        cache = Object.create(null), // no prototype, so paths like "__proto__" are plain keys
+        quoteIndices = false, // set by `unflatten`, which needs quoted digits kept whatever the options are
+        argumentDepth = 0, // above zero while `stringifyToken` writes the arguments of a call
         opt = {},
         prefixList, separatorList, containerList, containerCloseList,
         propertySeparator,
         singlequote, doublequote,
         simplePathChars, simplePathRegEx,
-        allSpecials, allSpecialsRegEx,
+        allSpecials, allSpecialsRegEx, specialsRegEx, wordSpecialsRegEx,
         escapedNonSpecialsRegEx,
         escapedQuotes,
-        wildcardRegEx;
+        wildcardRegEx,
+        syntaxError;
 
     /**
      * Several regular expressions are pre-compiled for use in path interpretation.
@@ -165,12 +801,16 @@ var PathToolkit = function(options){
         });
 
         // Find all special characters except property separator (. by default)
-        simplePathChars = '[\\\\' + [$WILDCARD].concat(prefixList).concat(separatorList).concat(containerList).join('\\').replace('\\'+propertySeparator, '') + ']';
+        simplePathChars = '[\\\\' + [$WILDCARD].concat(prefixList).concat(separatorList).concat(containerList).concat(containerCloseList).join('\\').replace('\\'+propertySeparator, '') + ']';
         simplePathRegEx = new RegExp(simplePathChars);
 
         // Find all special characters, including backslash
         allSpecials = '[\\\\\\' + [$WILDCARD].concat(prefixList).concat(separatorList).concat(containerList).concat(containerCloseList).join('\\') + ']';
         allSpecialsRegEx = new RegExp(allSpecials, 'g');
+        // Non-global copy for testing, since "test" on a global RegEx is stateful
+        specialsRegEx = new RegExp(allSpecials);
+        // All special characters except wildcard, for escaping words that carry wildcards
+        wordSpecialsRegEx = new RegExp(allSpecials.replace('\\'+$WILDCARD, ''), 'g');
 
         // Find all escaped special characters
         // escapedSpecialsRegEx = new RegExp('\\'+allSpecials, 'g');
@@ -197,6 +837,9 @@ var PathToolkit = function(options){
         opt.useCache = true;  // cache tokenized paths for repeated use
         opt.simple = false;   // only support dot-separated paths, no other special characters
         opt.force = false;    // create intermediate properties during `set` operation
+        opt.forceArrays = false; // with "force", create arrays for intermediate values followed by an unquoted index
+        opt.safe = false;     // reject calls, context placeholders and eval properties in string paths
+        opt.protect = true;   // refuse to read or write through "__proto__", "prototype" and "constructor"
         opt['defaultReturnVal'] = UNDEF;   // return undefined by default when path resolution fails
 
         // Default prefix special characters
@@ -284,6 +927,139 @@ var PathToolkit = function(options){
         return str;
     };
 
+    /**
+     * Record the reason `tokenize` failed so that the public `parse` and `validate`
+     * functions can report it. Always returns `undefined` so the tokenizer may
+     * simply `return fail(...)` at the point where the problem is found.
+     * @private
+     * @param  {Number} offset   Index within the top-level keypath where the problem was detected
+     * @param  {String} expected Description of what the tokenizer expected to find at "offset"
+     * @param  {Boolean} safe    Optional; true if the path is only rejected because of "safe" mode
+     * @return {undefined}
+     */
+    var fail = function(offset, expected, safe){
+        syntaxError = {offset: offset, expected: expected, safe: !!safe};
+        return undefined;
+    };
+
+    /**
+     * Tokenize the arguments of a call container ("( )"). Arguments are separated by the
+     * collection separator and surrounding whitespace is ignored. Numbers, `true`, `false`,
+     * `null` and quoted strings are literal values, stored as {v: value} tokens; any other
+     * argument is a keypath evaluated as before. Without any literal arguments, the contents
+     * are tokenized as a single keypath, exactly as in other containers.
+     * If the arguments are not valid, `undefined` is returned and the details of the problem
+     * are recorded with `fail`.
+     * @private
+     * @param  {String} str  Contents of the call container
+     * @param  {Number} base Offset of "str" within the top-level path
+     * @return {Object}      Token set
+     */
+    var tokenizeArgs = function(str, base){
+        var args = [],
+            hasLiteral = false,
+            collectionSeparator = findOptionChar(opt.separators, $COLLECTION),
+            quote = '',
+            start = 0,
+            depth = 0,
+            i, text, offset, tk, number;
+
+        // Split at collection separators which are not inside containers or quotes
+        for (i = 0; i <= str.length; i++){
+            if (str[i] === '\\'){ i++; }
+            else if (quote){
+                if (str[i] === quote){ quote = ''; }
+            }
+            else if (i === str.length || (depth === 0 && str[i] === collectionSeparator)){
+                text = str.slice(start, i);
+                offset = start + text.length - text.replace(/^\s+/, '').length;
+                args.push({text: text.trim(), offset: offset});
+                start = i + 1;
+            }
+            else if (opt.containers[str[i]] && opt.containers[str[i]].closer === str[i]){ quote = str[i]; }
+            else if (opt.containers[str[i]]){ depth++; }
+            else if (containerCloseList.indexOf(str[i]) !== -1){ depth--; }
+        }
+
+        args = args.map(function(arg){
+            number = filterNumberRegex.exec(arg.text);
+            if (number && number[0] === arg.text){
+                hasLiteral = true;
+                return {'v': parseFloat(arg.text)};
+            }
+            if (arg.text === 'true' || arg.text === 'false' || arg.text === 'null'){
+                hasLiteral = true;
+                return {'v': arg.text === 'null' ? null : arg.text === 'true'};
+            }
+            if (!arg.text){ return fail(base + arg.offset, 'argument between separators'); }
+            tk = tokenize(arg.text, base + arg.offset);
+            if (tk === UNDEF){ return undefined; }
+            // A quoted string on its own is a literal
+            if (tk.t.length === 1 && (typeof tk.t[0] === $STRING || tk.t[0].q !== UNDEF) && opt.containers[arg.text.charAt(0)] &&
+                    (opt.containers[arg.text.charAt(0)].exec === $SINGLEQUOTE || opt.containers[arg.text.charAt(0)].exec === $DOUBLEQUOTE) &&
+                    arg.text.charAt(arg.text.length - 1) === opt.containers[arg.text.charAt(0)].closer){
+                hasLiteral = true;
+                return {'v': typeof tk.t[0] === $STRING ? tk.t[0] : tk.t[0].q};
+            }
+            return tk.t.length === 1 ? tk.t[0] : tk;
+        });
+
+        if (!hasLiteral){
+            return tokenize(str, base);
+        }
+        if (args.indexOf(UNDEF) !== -1){
+            return undefined;
+        }
+        return {t: args.length === 1 ? args : [{'tt': args, 'doEach': false}], simple: false};
+    };
+
+    /**
+     * Compile the expression of a filter container ("[?expression]") with `parseFilter`,
+     * reading relative paths with the current syntax.
+     * If the expression is not valid, `undefined` is returned and the details of the problem
+     * are recorded with `fail`.
+     * @private
+     * @param  {String} src  Filter expression, without the leading "?"
+     * @param  {Number} base Offset of "src" within the top-level path
+     * @return {Object}      Expression tree
+     */
+    var compileFilter = function(src, base){
+        var containers = {},
+            safe = false; // a path in the expression was refused by "safe" mode
+        Object.keys(opt.containers).forEach(function(opener){
+            containers[opener] = opt.containers[opener].closer;
+        });
+        try {
+            return parseFilter(src, function(text, offset){
+                var tk = tokenize(text);
+                if (tk === UNDEF){
+                    safe = syntaxError.safe;
+                    throw new PathSyntaxError(src, offset + syntaxError.offset, syntaxError.expected);
+                }
+                return tk;
+            }, containers, findOptionChar(opt.prefixes, $PLACEHOLDER));
+        }
+        catch(e){
+            if (!(e instanceof PathSyntaxError)){ throw e; }
+            return fail(base + e.offset, e.expected, safe);
+        }
+    };
+
+    /**
+     * Check whether a token may follow the recursive descent operator ("**"): a plain
+     * property, a wildcard, or a collection of those.
+     * @private
+     * @param  {Any} token String or token object
+     * @return {Boolean}   True if "**" may be applied to the token
+     */
+    var isDeepTarget = function(token){
+        if (typeof token === $STRING){ return true; }
+        if (token === UNDEF || token.doEach){ return false; }
+        if (token.q !== UNDEF){ return true; }
+        if (token.tt){ return token.tt.every(isDeepTarget); }
+        return token.w !== UNDEF && !token.mods.has && token.w !== $WILDCARD + $WILDCARD;
+    };
+
     /**
      * Scan input string from left to right, one character at a time. If a special character
      * is found (one of "separators", "containers", or "prefixes"), either store the accumulated
@@ -292,11 +1068,14 @@ var PathToolkit = function(options){
      * within the container and recursively call `tokenize` on that substring. Final output will
      * be an array of tokens. A complex token (not a simple property or index) will be represented
      * as an object carrying metadata for processing.
+     * If the path is not valid, `undefined` is returned and the details of the problem are
+     * recorded with `fail`.
      * @private
      * @param  {String} str Path string
+     * @param  {Number} base Optional; Offset of "str" within the top-level path when tokenizing a container's contents
      * @return {Array}     Array of tokens found in the input path
      */
-    var tokenize = function (str){
+    var tokenize = function (str, base){
         var path = '',
             simplePath = true, // path is assumed "simple" until proven otherwise
             tokens = [],
@@ -313,9 +1092,23 @@ var PathToolkit = function(options){
             separator = '',
             collection = [],
             depth = 0,
-            escaped = 0;
+            openedAt = 0, // index of the opening character of the outermost open container
+            prefixChar = '',
+            slice,
+            isFilter = false, // container holds a filter expression "[?...]"
+            literalQuote = '', // quote character of a string literal open within a filter expression or call arguments
+            mapping = false, // property names are applied to every element selected by a filter
+            closeAt = 0,
+            ends = [], // index in "path" where each token was completed
+            nested = [], // containers opened within an unclosed container, while looking for a mismatched closer
+            quote = '',
+            escaped = 0,
+            // Quoted digits only differ from indices where "force" may create arrays
+            keepIndex = opt.forceArrays || quoteIndices,
+            useCache = opt.useCache && !quoteIndices;
 
-        if (opt.useCache && cache[str] !== UNDEF){ return cache[str]; }
+        if (useCache && cache[str] !== UNDEF){ return cache[str]; }
+        base = base || 0;
 
         // Strip out any unnecessary escaping to simplify processing below
         path = str.replace(escapedNonSpecialsRegEx, '$&'.substr(1));
@@ -323,7 +1116,7 @@ var PathToolkit = function(options){
 
         if (typeof str === $STRING && !simplePathRegEx.test(str)){
             tokens = path.split(propertySeparator);
-            opt.useCache && (cache[str] = {t: tokens, simple: simplePath});
+            useCache && (cache[str] = {t: tokens, simple: simplePath});
             return {t: tokens, simple: simplePath};
         }
 
@@ -335,8 +1128,9 @@ var PathToolkit = function(options){
                 escaped = i+1;
                 i++;
             }
-            // If a wildcard character is found, mark this token as having a wildcard
-            if (path[i] === $WILDCARD) {
+            // If a wildcard character is found, mark this token as having a wildcard.
+            // Escaped wildcards and wildcards inside containers are literal characters.
+            if (path[i] === $WILDCARD && escaped !== i && depth === 0) {
                 hasWildcard = true;
             }
             // If we have already processed a container opener, treat this subpath specially
@@ -346,11 +1140,23 @@ var PathToolkit = function(options){
                 // which cannot be nested)
                 // Is this character the closer? If so, back out one level of depth.
                 // Be careful: quote container uses same character for opener and closer.
-                !escaped && path[i] === opener && opener !== closer.closer && depth++;
-                !escaped && path[i] === closer.closer && depth--;
+                // String literals in a filter expression or in call arguments may contain the container characters.
+                if ((isFilter || closer.exec === $CALL) && !escaped && (literalQuote ? path[i] === literalQuote :
+                        isFilter ? path[i] === '\'' || path[i] === '"' : path[i] === singlequote || path[i] === doublequote)){
+                    literalQuote = literalQuote ? '' : path[i];
+                }
+                !escaped && !literalQuote && path[i] === opener && opener !== closer.closer && depth++;
+                !escaped && !literalQuote && path[i] === closer.closer && depth--;
 
-                // While still inside the container, just add to the subpath
+                // While still inside the container, just add to the subpath. Containers holding
+                // a sub-keypath are tokenized again later, so they must keep their escape characters.
                 if (depth > 0){
+                    if (subpath === '' && path[i] === '?' && escaped !== i && closer.exec === $PROPERTY){
+                        isFilter = true;
+                    }
+                    if (escaped === i && (closer.exec === $CALL || closer.exec === $EVALPROPERTY || isFilter)){
+                        subpath += '\\';
+                    }
                     subpath += path[i];
                 }
                 // When we close off the container, time to process the subpath and add results to our tokens
@@ -358,7 +1164,7 @@ var PathToolkit = function(options){
                     // Handle subpath "[bar]" in foo.[bar],[baz] - we must process subpath and create a new collection
                     if (i+1 < pathLength && opt.separators[path[i+1]] && opt.separators[path[i+1]].exec === $COLLECTION){
                         if (subpath.length && closer.exec === $PROPERTY){
-                            recur = stripQuotes(subpath);
+                            recur = isQuoted(subpath) ? quotedKey(stripQuotes(subpath), keepIndex) : subpath;
                         }
                         else if (closer.exec === $SINGLEQUOTE || closer.exec === $DOUBLEQUOTE){
                             if (mods.has){
@@ -368,12 +1174,12 @@ var PathToolkit = function(options){
                                 simplePath &= false;
                             }
                             else {
-                                recur = subpath;
+                                recur = quotedKey(subpath, keepIndex);
                                 simplePath &= true;
                             }
                         }
                         else {
-                            recur = tokenize(subpath);
+                            recur = closer.exec === $CALL ? tokenizeArgs(subpath, base + openedAt + 1) : tokenize(subpath, base + openedAt + 1);
                             if (recur === UNDEF){ return undefined; }
                             recur.exec = closer.exec;
                             recur.doEach = doEach;
@@ -384,7 +1190,7 @@ var PathToolkit = function(options){
                     // Handle subpath "[baz]" in foo.[bar],[baz] - we must process subpath and add to collection
                     else if (collection[0]){
                         if (subpath.length && closer.exec === $PROPERTY){
-                            recur = stripQuotes(subpath);
+                            recur = isQuoted(subpath) ? quotedKey(stripQuotes(subpath), keepIndex) : subpath;
                         }
                         else if (closer.exec === $SINGLEQUOTE || closer.exec === $DOUBLEQUOTE){
                             if (mods.has){
@@ -394,12 +1200,12 @@ var PathToolkit = function(options){
                                 simplePath &= false;
                             }
                             else {
-                                recur = subpath;
+                                recur = quotedKey(subpath, keepIndex);
                                 simplePath &= true;
                             }
                         }
                         else {
-                            recur = tokenize(subpath);
+                            recur = closer.exec === $CALL ? tokenizeArgs(subpath, base + openedAt + 1) : tokenize(subpath, base + openedAt + 1);
                             if (recur === UNDEF){ return undefined; }
                             recur.exec = closer.exec;
                             recur.doEach = doEach;
@@ -411,15 +1217,34 @@ var PathToolkit = function(options){
                     }
                     // Simple property container is equivalent to dot-separated token. Just add this token to tokens.
                     else if (closer.exec === $PROPERTY){
-                        recur = {t:[stripQuotes(subpath)]};
-                        if (doEach){
-                            tokens.push({'w':recur.t[0], 'mods':{}, 'doEach':true});
+                        recur = {t:[isQuoted(subpath) ? quotedKey(stripQuotes(subpath), keepIndex) : subpath]};
+                        slice = sliceRegex.exec(subpath);
+                        // Filter "[?expression]" selects the array elements for which the expression is true
+                        if (isFilter){
+                            recur = compileFilter(subpath.substr(1), base + openedAt + 2);
+                            if (recur === UNDEF){ return undefined; }
+                            tokens.push({'f': recur, 'doEach': doEach});
+                            simplePath &= false;
+                            doEach = false; // reset
+                        }
+                        // Slice "[start:end:step]" selects a range of array indices
+                        else if (slice){
+                            slice = sliceValues(slice);
+                            if (slice[2] === 0){
+                                return fail(base + openedAt + 1, 'non-zero step in slice \'' + subpath + '\'');
+                            }
+                            tokens.push({'sl': slice, 'doEach': doEach});
+                            simplePath &= false;
+                            doEach = false; // reset
+                        }
+                        else if (doEach){
+                            tokens.push(isQuoted(subpath) ? {'q': stripQuotes(subpath), 'doEach': true} : {'w': subpath, 'mods': {}, 'doEach': true});
                             simplePath &= false;
                             doEach = false; // reset
                         }
                         else {
                             tokens.push(recur.t[0]);
-                            simplePath &= true;
+                            simplePath &= isSimpleTokens(recur.t.slice(0, 1));
                         }
                     }
                     // Quoted subpath is all taken literally without token evaluation. Just add subpath to tokens as-is.
@@ -430,9 +1255,14 @@ var PathToolkit = function(options){
                             mods = {};
                             simplePath &= false;
                         }
+                        else if (doEach){
+                            tokens.push({'q': subpath, 'doEach': true});
+                            simplePath &= false;
+                            doEach = false; // reset
+                        }
                         else {
-                            tokens.push(subpath);
-                            simplePath &= true;
+                            tokens.push(quotedKey(subpath, keepIndex));
+                            simplePath &= isSimpleTokens(tokens.slice(-1));
                         }
                     }
                     // Otherwise, create token object to hold tokenized subpath, add to tokens.
@@ -441,7 +1271,7 @@ var PathToolkit = function(options){
                             recur = {t:[],simple:true};
                         }
                         else {
-                            recur = tokenize(subpath);
+                            recur = closer.exec === $CALL ? tokenizeArgs(subpath, base + openedAt + 1) : tokenize(subpath, base + openedAt + 1);
                         }
                         if (recur === UNDEF){ return undefined; }
                         recur.exec = closer.exec;
@@ -450,11 +1280,16 @@ var PathToolkit = function(options){
                         simplePath &= false;
                     }
                     subpath = ''; // reset subpath
+                    isFilter = false;
                 }
             }
             // If a prefix character is found, store it in `mods` for later reference.
             // Must keep count due to `parent` prefix that can be used multiple times in one token.
             else if (!escaped && path[i] in opt.prefixes && opt.prefixes[path[i]].exec){
+                if (opt.safe && opt.prefixes[path[i]].exec === $CONTEXT){
+                    return fail(base + i, 'no context placeholder in safe mode', true);
+                }
+                prefixChar = path[i];
                 mods.has = true;
                 if (mods[opt.prefixes[path[i]].exec]) { mods[opt.prefixes[path[i]].exec]++; }
                 else { mods[opt.prefixes[path[i]].exec] = 1; }
@@ -468,7 +1303,7 @@ var PathToolkit = function(options){
                 separator = opt.separators[path[i]];
                 if (!word && (mods.has || hasWildcard)){
                     // found a separator, after seeing prefixes, but no token word -> invalid
-                    return undefined;
+                    return fail(base + i, 'property name after prefix \'' + prefixChar + '\'');
                 }
                 // This token will require special interpreter processing due to prefix or wildcard.
                 if (word && (mods.has || hasWildcard || doEach)){
@@ -501,6 +1336,21 @@ var PathToolkit = function(options){
                 word = ''; // reset
                 hasWildcard = false; // reset
             }
+            // Named placeholder "%{name}" or "@{name}": the eval property container right after
+            // a placeholder or context prefix holds the name of a binding instead of a keypath.
+            else if (!escaped && !word && (mods.placeholder || mods.context) &&
+                    opt.containers[path[i]] && opt.containers[path[i]].exec === $EVALPROPERTY){
+                closeAt = path.indexOf(opt.containers[path[i]].closer, i);
+                word = closeAt === -1 ? '' : path.slice(i + 1, closeAt);
+                if (!bindingNameRegex.test(word)){
+                    return fail(base + i + 1, 'binding name in \'' + path[i] + opt.containers[path[i]].closer + '\'');
+                }
+                if (closeAt + 1 < pathLength && !opt.separators[path[closeAt + 1]] && !opt.containers[path[closeAt + 1]]){
+                    return fail(base + closeAt + 1, 'separator after named placeholder');
+                }
+                mods.named = true;
+                i = closeAt;
+            }
             // Found a container opening character. A container opening is equivalent to
             // finding a separator, so "foo.bar" is equivalent to "foo[bar]", so apply similar
             // process as separator above with respect to token we have accumulated so far.
@@ -511,6 +1361,9 @@ var PathToolkit = function(options){
             // Set depth value for further processing.
             else if (!escaped && opt.containers[path[i]] && opt.containers[path[i]].exec){
                 closer = opt.containers[path[i]];
+                if (opt.safe && (closer.exec === $CALL || closer.exec === $EVALPROPERTY)){
+                    return fail(base + i, closer.exec === $CALL ? 'no function call in safe mode' : 'no eval property in safe mode', true);
+                }
                 if (word && (mods.has || hasWildcard || doEach)){
                     if (typeof word === 'string'){
                         word = {'w': word, 'mods': mods, 'doEach':doEach};
@@ -538,8 +1391,13 @@ var PathToolkit = function(options){
                 }
                 word = '';
                 hasWildcard = false;
+                openedAt = i;
                 depth++;
             }
+            // A closer without a matching opener is invalid
+            else if (!escaped && containerCloseList.indexOf(path[i]) !== -1){
+                return fail(base + i, 'opener for closer \'' + path[i] + '\'');
+            }
             // Otherwise, this is just another character to add to the current token
             else if (i < pathLength) {
                 word += path[i];
@@ -549,21 +1407,50 @@ var PathToolkit = function(options){
             if (i < pathLength && i === escaped){
                 escaped = 0;
             }
+            while (ends.length < tokens.length){ ends.push(i); }
         }
 
         // Path ended in an escape character
         if (escaped){
-            return undefined;
+            return fail(base + pathLength - 1, 'character to escape after \'\\\'');
         }
 
-        // Add trailing word to tokens, if present
-        if (typeof word === 'string' && word && (mods.has || hasWildcard || doEach)){
-            word = {'w': word, 'mods': word.mods || mods, 'doEach': doEach};
-            mods = {};
-            simplePath &= false;
-        }
-        else if (word && mods.has){
-            word.mods = mods;
+        // depth != 0 means mismatched containers. A closer belonging to some other container
+        // is reported where it was found; quoted contents are taken literally and skipped.
+        if (depth !== 0){
+            if (literalQuote){
+                return fail(base + pathLength, 'closing ' + literalQuote + ' for string');
+            }
+            for (i = openedAt + 1; opener !== closer.closer && i < pathLength; i++){
+                if (path[i] === '\\'){ i++; }
+                else if (quote){
+                    if (path[i] === quote){ quote = ''; }
+                }
+                else if (opt.containers[path[i]] && opt.containers[path[i]].closer === path[i]){ quote = path[i]; }
+                else if (opt.containers[path[i]]){ nested.push({closer: opt.containers[path[i]].closer, at: i}); }
+                else if (containerCloseList.indexOf(path[i]) !== -1){
+                    recur = nested.pop() || {closer: closer.closer, at: openedAt};
+                    if (recur.closer !== path[i]){
+                        return fail(base + i, 'closer \'' + recur.closer + '\' for container opened at ' + (base + recur.at));
+                    }
+                }
+            }
+            return fail(base + pathLength, 'closer \'' + closer.closer + '\' for container opened at ' + (base + openedAt));
+        }
+
+        // Path ended after prefixes, but no token word -> invalid
+        if (!word && mods.has){
+            return fail(base + pathLength, 'property name after prefix \'' + prefixChar + '\'');
+        }
+
+        // Add trailing word to tokens, if present
+        if (typeof word === 'string' && word && (mods.has || hasWildcard || doEach)){
+            word = {'w': word, 'mods': word.mods || mods, 'doEach': doEach};
+            mods = {};
+            simplePath &= false;
+        }
+        else if (word && mods.has){
+            word.mods = mods;
         }
         // We are gathering a collection, so add last word to collection and then store
         if (collection[0] !== UNDEF){
@@ -577,15 +1464,219 @@ var PathToolkit = function(options){
             simplePath &= true;
         }
 
-        // depth != 0 means mismatched containers
-        if (depth !== 0){ return undefined; }
+        // Recursive descent "**" is combined with the token it applies to
+        for (i = 0; i < tokens.length; i++){
+            if (tokens[i] && tokens[i].w === $WILDCARD + $WILDCARD && !tokens[i].mods.has){
+                if (!isDeepTarget(tokens[i+1])){
+                    return fail(base + (i+1 < tokens.length ? ends[i] + 1 : pathLength), 'property name after \'**\'');
+                }
+                tokens.splice(i, 2, {'dd': tokens[i+1], 'doEach': tokens[i].doEach});
+            }
+        }
+
+        // Property names after a filter are read from every selected element, as after the "each"
+        // separator, up to the first index or other token. An index still selects one element.
+        for (i = 0; i < tokens.length; i++){
+            if (mapping && typeof tokens[i] === $STRING && !isDigits(tokens[i]) && !negativeIndexRegex.test(tokens[i])){
+                tokens[i] = wildcardRegEx.test(tokens[i]) ? {'q': tokens[i], 'doEach': true} : {'w': tokens[i], 'mods': {}, 'doEach': true};
+            }
+            else {
+                mapping = !!(tokens[i] && tokens[i].f && !tokens[i].doEach);
+            }
+        }
 
         // If path was valid, cache the result
-        opt.useCache && (cache[str] = {t: tokens, simple: simplePath});
+        simplePath = !!simplePath;
+        useCache && (cache[str] = {t: tokens, simple: simplePath});
 
         return {t: tokens, simple: simplePath};
     };
 
+    /**
+     * Create a missing intermediate value for the "force" option: an array if the "forceArrays"
+     * option is enabled and the following token is an unquoted array index written without
+     * leading zeros, as "01" is not one, otherwise an object.
+     * @private
+     * @param  {Any} nextToken Token which will be applied to the new value
+     * @return {Object}        New empty array or object
+     */
+    var newContainer = function(nextToken){
+        // A word token without prefixes, as after the "each" separator, names a property as well
+        var name = nextToken && nextToken.w !== UNDEF && !nextToken.mods.has ? nextToken.w : nextToken;
+        return opt.forceArrays && typeof name === $STRING && pointerIndexRegex.test(name) ? [] : {};
+    };
+
+    /**
+     * Create a missing property while setting a value with the "force" option, for tokens other
+     * than plain property names. The property receives the new value if the token is the last
+     * one in the path, or else a new container for the following token.
+     * @private
+     * @param  {Object} context  Object which should hold the property
+     * @param  {Any} key         Property name
+     * @param  {Boolean} last    True if the token is the last one in the path
+     * @param  {Any} nextToken   Token following this one
+     * @param  {Any} newValue    The value being set
+     */
+    var forceProperty = function(context, key, last, nextToken, newValue){
+        if (isObject(context) && context[key] === UNDEF){
+            context[key] = last ? newValue : newContainer(nextToken);
+        }
+    };
+
+    /**
+     * Check that a computed property name, such as the result of an eval property, can be
+     * created by the "force" option.
+     * @private
+     * @param  {Any} key       Computed property name
+     * @param  {Any} token     Token which produced the name, used in the error message
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Any}           The same key
+     * @throws {Error} If the key is not a string or a number
+     */
+    var forceKey = function(key, token, caller){
+        if (typeof key !== $STRING && typeof key !== 'number'){
+            throw new Error(caller + ' - "force" cannot create a property for "' + stringifyToken(token, caller) + '", which did not resolve to a property name');
+        }
+        return key;
+    };
+
+    /**
+     * Create the missing members of a collection while setting a value with the "force" option.
+     * Plain and quoted property names and eval properties are created; any other member is left
+     * alone, so a path through it fails as it does without "force".
+     * @private
+     * @param  {Object} context    Object holding the members
+     * @param  {Array} members     Collection member tokens
+     * @param  {Any} nextToken     Token which will be applied to each member, if any
+     * @param  {Array} args        Extra arguments for placeholders
+     * @param  {Array} valueStack  Value stack, as in `resolvePath`
+     * @param  {String} caller     Name of the public function, used in error messages
+     */
+    var forceMembers = function(context, members, nextToken, args, valueStack, caller){
+        members.forEach(function(member){
+            var key;
+            if (typeof member === $STRING){ key = resolveIndex(context, member); }
+            else if (member.q !== UNDEF){ key = member.q; }
+            else if (member.exec === $EVALPROPERTY){ key = forceKey(resolvePath(context, member, UNDEF, args, valueStack), member, caller); }
+            else { return; }
+            if (key !== UNDEF){ forceProperty(context, guardKey(key, caller), false, nextToken); }
+        });
+    };
+
+    /**
+     * Test whether a property name is refused by the "protect" option.
+     * @private
+     * @param  {Any} key Property name
+     * @return {Boolean} True if the "protect" option is on and the key is protected
+     */
+    var isProtectedKey = function(key){
+        return opt.protect && protectedKeys.indexOf(String(key)) !== -1;
+    };
+
+    /**
+     * Refuse property names which lead into an object's prototype while the "protect"
+     * option is on, so that a path cannot reach or pollute `Object.prototype`. When a value is
+     * only being read, "readFrom" is the object it is read from: a protected name which is an
+     * own property of a plain object or array is ordinary data and may be read. Writes always
+     * refuse protected names, and wildcards and "**" skip them with `isProtectedKey` instead.
+     * @private
+     * @param  {Any} key       Property name about to be read or written
+     * @param  {String} caller Name of the public function, used in error messages
+     * @param  {Any} readFrom  Optional; Object the property is read from, if it is not written
+     * @return {Any}           The same key
+     * @throws {Error} If the key is protected
+     */
+    var guardKey = function(key, caller, readFrom){
+        if (isProtectedKey(key) && !(isObject(readFrom) && typeof readFrom !== 'function' &&
+                Object.prototype.hasOwnProperty.call(readFrom, key))){
+            throw new Error(caller + ' - property "' + key + '" is not allowed while the "protect" option is on');
+        }
+        return key;
+    };
+
+    /**
+     * Look up the value for a named placeholder ("%{name}" or "@{name}") in the bindings
+     * object, which is the first extra argument given to `get` or `set`.
+     * @private
+     * @param  {Array} args    Extra arguments given to `get` or `set`
+     * @param  {String} name   Binding name
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Any}           Bound value
+     * @throws {Error} If the binding is not an own property of the bindings object, or is undefined
+     */
+    var getBinding = function(args, name, caller){
+        var bindings = args && args[0];
+        if (!isObject(bindings) || !Object.prototype.hasOwnProperty.call(bindings, name) || bindings[name] === UNDEF){
+            throw new Error(caller + ' - missing binding "' + name + '"');
+        }
+        return bindings[name];
+    };
+
+    /**
+     * Look up the property name for a named placeholder ("%{name}") with `getBinding`.
+     * @private
+     * @param  {Array} args    Extra arguments given to `get` or `set`
+     * @param  {String} name   Binding name
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {String}        Property name
+     * @throws {Error} If the binding is missing, undefined or null
+     */
+    var getBindingKey = function(args, name, caller){
+        var value = getBinding(args, name, caller);
+        if (value === null){
+            throw new Error(caller + ' - binding "' + name + '" is null, which does not name a property');
+        }
+        return String(value);
+    };
+
+    /**
+     * In "safe" mode, refuse a token set which uses an operation that string paths may not use:
+     * function calls, eval properties and context placeholders. String paths are checked by
+     * `tokenize`, but token sets may come from another instance or be built by hand.
+     * @private
+     * @param  {Array} tk      Token array
+     * @param  {String} caller Name of the public function, used in error messages
+     * @throws {Error} If a token is not allowed in safe mode
+     */
+    var checkSafeTokens = function(tk, caller){
+        var checkFilter = function(node){
+            node.path && checkSafeTokens(node.path.t, caller);
+            node.a && checkFilter(node.a);
+            node.b && checkFilter(node.b);
+        };
+        tk.forEach(function(token){
+            if (!token || typeof token !== 'object'){ return; }
+            if (token.exec === $CALL || token.exec === $EVALPROPERTY || (token.mods && token.mods.context)){
+                throw new Error(caller + ' - ' + (token.exec === $CALL ? 'no function call' : token.exec === $EVALPROPERTY ? 'no eval property' : 'no context placeholder') + ' in safe mode');
+            }
+            token.t && checkSafeTokens(token.t, caller);
+            token.tt && checkSafeTokens(token.tt, caller);
+            token.dd && checkSafeTokens([token.dd], caller);
+            token.f && checkFilter(token.f);
+        });
+    };
+
+    /**
+     * Evaluate the arguments of a function call token for `resolvePath`. Several arguments form
+     * a collection, and each member is evaluated on its own, so an argument which does not
+     * resolve is passed as `undefined` rather than dropping the whole argument list.
+     * @private
+     * @param  {Any} context      Value the argument keypaths are evaluated against
+     * @param  {Object} curr      Call token
+     * @param  {Array} args       Array of extra arguments which may be referenced by placeholders
+     * @param  {Array} valueStack Stack of object contexts accumulated so far
+     * @return {Any}              Array of argument values, a single value, or `undefined` if the only argument did not resolve
+     */
+    var callArguments = function(context, curr, args, valueStack){
+        if (curr.t.length === 1 && curr.t[0].tt && !curr.t[0].doEach){
+            return curr.t[0].tt.map(function(member){
+                // A keypath argument is a token set of its own, any other member is a single token
+                return resolvePath(context, member.t && !member.exec ? member : {t: [member]}, UNDEF, args, valueStack);
+            });
+        }
+        return curr.simple ? _this.get(context, curr) : resolvePath(context, curr, UNDEF, args, valueStack);
+    };
+
     /**
      * It is `resolvePath`'s job to traverse an object according to the tokens
      * derived from the keypath and either return the value found there or set
@@ -625,20 +1716,28 @@ var PathToolkit = function(options){
             newValueHere = false,
             placeInt = 0,
             prop = '',
-            callArgs;
+            key,
+            callArgs,
+            forked = false, // "context" is the list of matches of a wildcard, collection, slice, filter or "**"
+            caller = change ? 'set' : 'get';
 
         // For String path, either fetch tokens from cache or from `tokenize`.
         if (typeof path === $STRING){
             if (opt.useCache && cache[path]) { tk = cache[path].t; }
             else {
                 tk = tokenize(path);
-                if (tk === UNDEF){ return undefined; }
+                if (tk === UNDEF){
+                    // Paths refused by "safe" mode are reported, not quietly treated as missing
+                    if (syntaxError.safe){ throw new PathSyntaxError(path, syntaxError.offset, syntaxError.expected); }
+                    return undefined;
+                }
                 tk = tk.t;
             }
         }
         // For a non-string, assume a pre-compiled token array
         else {
             tk = path.t ? path.t : [path];
+            opt.safe && !valueStack && checkSafeTokens(tk, caller);
         }
 
         tkLength = tk.length;
@@ -664,22 +1763,31 @@ var PathToolkit = function(options){
             // is the point where the new value must be set.
             newValueHere = (change && (idx === tkLastIdx));
 
-            // Handle most common simple path scenario first
-            if (typeof curr === $STRING){
+            // Handle most common simple path scenario first. Quoted keys ({q}) work the same way,
+            // but are never array indices.
+            if (typeof curr === $STRING || (curr && curr.q !== UNDEF && !curr.doEach)){
+                // Negative indices count back from the end of an array
+                key = guardKey(typeof curr === $STRING ? resolveIndex(context, curr) : curr.q, caller, change ? UNDEF : context);
+                if (key === UNDEF){ return undefined; }
+                // Only an index into the list of matches leads back into the data, so anything
+                // else would be written to the list itself and be lost
+                if (change && forked && (newValueHere || (opt.force && context[key] === UNDEF))){
+                    throw new Error(caller + ' - cannot set "' + key + '" in the list of matches before it; use the "each" separator to apply it to every match');
+                }
                 // If we are setting...
                 if (change){
                     // If this is the final token where the new value goes, set it
                     if (newValueHere){
-                        context[curr] = newValue;
-                        if (context[curr] !== newValue){ return undefined; } // new value failed to set
+                        context[key] = newValue;
+                        if (context[key] !== newValue){ return undefined; } // new value failed to set
                     }
                     // For earlier tokens, create object properties if "force" is enabled
-                    else if (opt.force && typeof context[curr] === 'undefined') {
-                        context[curr] = {};
+                    else if (opt.force && typeof context[key] === 'undefined') {
+                        context[key] = newContainer(tk[idx + 1]);
                     }
                 }
                 // Return value is assigned as value of this object property
-                ret = context[curr];
+                ret = context[key];
 
                 // This basic structure is repeated in other scenarios below, so the logic
                 // pattern is only documented here for brevity.
@@ -688,6 +1796,31 @@ var PathToolkit = function(options){
                 if (curr === UNDEF){
                     ret = undefined;
                 }
+                // Literal value, such as a number or quoted string in call arguments
+                else if (curr.hasOwnProperty('v')){
+                    ret = curr.v;
+                }
+                // Quoted key after the "each" separator is read literally from every value in context
+                else if (curr.q !== UNDEF){
+                    if (!Array.isArray(context)){
+                        return undefined;
+                    }
+                    ret = [];
+                    i = 0;
+                    eachLength = context.length;
+                    while(i < eachLength){
+                        key = guardKey(curr.q, caller, change ? UNDEF : context[i]);
+                        if (change && opt.force){
+                            forceProperty(context[i], key, newValueHere, tk[idx + 1], newValue);
+                        }
+                        if (context[i] != null && context[i][key] !== UNDEF){
+                            if (newValueHere){ context[i][key] = newValue; }
+                            ret.push(context[i][key]);
+                        }
+                        else if (!curr.skip){ return undefined; }
+                        i++;
+                    }
+                }
                 else if (curr.tt){
                     // Call resolvePath again with base value as evaluated value so far and
                     // each element of array as the path. Concat all the results together.
@@ -704,14 +1837,19 @@ var PathToolkit = function(options){
                         while(j < eachLength){
                             i = 0;
                             ret.push([]);
+                            if (change && opt.force && !newValueHere){
+                                forceMembers(context[j], curr.tt, tk[idx + 1] && tk[idx + 1].doEach ? tk[idx + 1] : UNDEF, args, valueStack, caller);
+                            }
                             currLength = curr.tt.length;
                             while(i < currLength){
-                                curr.tt[i].doEach = false; // This is a hack, don't know how else to disable "doEach" for collection members
+                                if (typeof curr.tt[i] === 'object'){
+                                    curr.tt[i].doEach = false; // This is a hack, don't know how else to disable "doEach" for collection members
+                                }
                                 if (newValueHere){
                                     contextProp = resolvePath(context[j], curr.tt[i], newValue, args, valueStack);
                                 }
                                 else if (typeof curr.tt[i] === 'string'){
-                                    contextProp = context[j][curr.tt[i]];
+                                    contextProp = context[j][guardKey(resolveIndex(context[j], curr.tt[i]), caller, change ? UNDEF : context[j])];
                                 }
                                 else {
                                     contextProp = resolvePath(context[j], curr.tt[i], undefined, args, valueStack);
@@ -720,14 +1858,14 @@ var PathToolkit = function(options){
 
                                 if (newValueHere){
                                     if (curr.tt[i].t && curr.tt[i].exec === $EVALPROPERTY){
-                                        context[j][contextProp] = newValue;
+                                        context[j][guardKey(contextProp, caller)] = newValue;
                                     } else {
                                         ret[j].push(contextProp);
                                     }
                                 }
                                 else {
                                     if (curr.tt[i].t && curr.tt[i].exec === $EVALPROPERTY){
-                                        ret[j].push(context[j][contextProp]);
+                                        ret[j].push(context[j][guardKey(contextProp, caller, change ? UNDEF : context[j])]);
                                     } else {
                                         ret[j].push(contextProp);
                                     }
@@ -738,6 +1876,11 @@ var PathToolkit = function(options){
                         }
                     }
                     else {
+                        // Tokens after a collection apply to the list of members, unless they
+                        // follow the "each" separator, so only then is the next token relevant
+                        if (change && opt.force && !newValueHere){
+                            forceMembers(context, curr.tt, tk[idx + 1] && tk[idx + 1].doEach ? tk[idx + 1] : UNDEF, args, valueStack, caller);
+                        }
                         i = 0;
                         currLength = curr.tt.length;
                         while(i < currLength){
@@ -745,7 +1888,7 @@ var PathToolkit = function(options){
                                 contextProp = resolvePath(context, curr.tt[i], newValue, args, valueStack);
                             }
                             else if (typeof curr.tt[i] === 'string'){
-                                contextProp = context[curr.tt[i]];
+                                contextProp = context[guardKey(resolveIndex(context, curr.tt[i]), caller, change ? UNDEF : context)];
                             }
                             else {
                                 contextProp = resolvePath(context, curr.tt[i], undefined, args, valueStack);
@@ -754,14 +1897,14 @@ var PathToolkit = function(options){
 
                             if (newValueHere){
                                 if (curr.tt[i].t && curr.tt[i].exec === $EVALPROPERTY){
-                                    context[contextProp] = newValue;
+                                    context[guardKey(contextProp, caller)] = newValue;
                                 } else {
                                     ret.push(contextProp);
                                 }
                             }
                             else {
                                 if (curr.tt[i].t && curr.tt[i].exec === $EVALPROPERTY){
-                                    ret.push(context[contextProp]);
+                                    ret.push(context[guardKey(contextProp, caller, change ? UNDEF : context)]);
                                 } else {
                                     ret.push(contextProp);
                                 }
@@ -770,6 +1913,74 @@ var PathToolkit = function(options){
                         }
                     }
                 }
+                // Slice tokens select a range of indices from an array, or from each array
+                // in the current context when used with the "each" separator.
+                else if (curr.sl){
+                    if (curr.doEach){
+                        if (!Array.isArray(context)){
+                            return undefined;
+                        }
+                        ret = [];
+                        i = 0;
+                        eachLength = context.length;
+                        while(i < eachLength){
+                            if (!Array.isArray(context[i])){
+                                return undefined;
+                            }
+                            ret.push(sliceArray(context[i], curr.sl, newValueHere, newValue));
+                            i++;
+                        }
+                    }
+                    else {
+                        if (!Array.isArray(context)){
+                            return undefined;
+                        }
+                        ret = sliceArray(context, curr.sl, newValueHere, newValue);
+                    }
+                }
+                // Filters keep the array elements for which the expression is true, or filter
+                // each array in the current context when used with the "each" separator.
+                else if (curr.f){
+                    if (curr.doEach){
+                        if (!Array.isArray(context)){
+                            return undefined;
+                        }
+                        ret = [];
+                        i = 0;
+                        eachLength = context.length;
+                        while(i < eachLength){
+                            if (!Array.isArray(context[i])){
+                                return undefined;
+                            }
+                            ret.push(filterArray(context[i], curr.f, newValueHere, newValue, args, valueStack.slice(0, valueStackLength).concat([context[i]])));
+                            i++;
+                        }
+                    }
+                    else {
+                        if (!Array.isArray(context)){
+                            return undefined;
+                        }
+                        ret = filterArray(context, curr.f, newValueHere, newValue, args, valueStack.slice(0, valueStackLength));
+                    }
+                }
+                // Recursive descent collects every match of the following token at any depth
+                // below the current context, or below each element of the context with "each".
+                else if (curr.dd){
+                    if (curr.doEach){
+                        if (!Array.isArray(context)){
+                            return undefined;
+                        }
+                        ret = context.map(function(element){
+                            return deepValues(element, curr.dd, newValueHere, newValue);
+                        });
+                    }
+                    else {
+                        ret = deepValues(context, curr.dd, newValueHere, newValue);
+                    }
+                    if (change && opt.force && (curr.doEach ? ret : [ret]).every(function(matches){ return matches.length === 0; })){
+                        throw new Error(caller + ' - "force" cannot create a property for "**", which matched nothing');
+                    }
+                }
                 else if (curr.w){
                     // this word token has modifiers
                     wordCopy = curr.w;
@@ -785,9 +1996,12 @@ var PathToolkit = function(options){
                             valueStack = [context];
                             valueStackLength = 1;
                         }
-                        if (curr.mods.placeholder){
+                        if (curr.mods.placeholder && curr.mods.named){
+                            wordCopy = getBindingKey(args, wordCopy, change ? 'set' : 'get');
+                        }
+                        else if (curr.mods.placeholder){
                             placeInt = wordCopy - 1;
-                            if (args[placeInt] === UNDEF){ return undefined; }
+                            if (args[placeInt] == null){ return undefined; }
                             // Force args[placeInt] to String, won't attempt to process
                             // arg of type function, array, or plain object
                             wordCopy = args[placeInt].toString();
@@ -807,7 +2021,10 @@ var PathToolkit = function(options){
                             // "context" modifier ("@" by default) replaces current context with a value from
                             // the arguments.
                             if (curr.mods.context){
-                                if (isDigits(wordCopy)){
+                                if (curr.mods.named){
+                                    ret.push(getBinding(args, wordCopy, change ? 'set' : 'get'));
+                                }
+                                else if (isDigits(wordCopy)){
                                     placeInt = wordCopy - 1;
                                     if (args[placeInt] === UNDEF){ return undefined; }
                                     // Force args[placeInt] to String, won't atwordCopyt to process
@@ -820,9 +2037,14 @@ var PathToolkit = function(options){
                             }
                             else {
                                 // Repeat basic string property processing with word and modified context
-                                if (context[i][wordCopy] !== UNDEF) {
-                                    if (newValueHere){ context[i][wordCopy] = newValue; }
-                                    ret.push(context[i][wordCopy]);
+                                key = guardKey(resolveIndex(context[i], wordCopy), caller, change ? UNDEF : context[i]);
+                                if (change && opt.force && key !== UNDEF && typeof context[i] !== 'function' && !wildcardRegEx.test(wordCopy)){
+                                    forceProperty(context[i], key, newValueHere, tk[idx + 1], newValue);
+                                }
+                                // As with a plain property, the final property is created if necessary
+                                if (key !== UNDEF && context[i] != null && (context[i][key] !== UNDEF || (newValueHere && typeof context[i] === 'object' && !wildcardRegEx.test(wordCopy)))) {
+                                    if (newValueHere){ context[i][key] = newValue; }
+                                    ret.push(context[i][key]);
                                 }
                                 else if (typeof context[i] === 'function'){
                                     ret.push(wordCopy);
@@ -835,13 +2057,16 @@ var PathToolkit = function(options){
                                 else if (wildcardRegEx.test(wordCopy)){
                                     ret.push([]);
                                     for (prop in context[i]){
-                                        if (wildCardMatch(wordCopy, prop)){
+                                        if (wildCardMatch(wordCopy, prop) && !isProtectedKey(prop)){
                                             if (newValueHere){ context[i][prop] = newValue; }
                                             ret[i].push(context[i][prop]);
                                         }
                                     }
+                                    if (change && opt.force && !newValueHere && !ret[i].length){
+                                        throw new Error(caller + ' - "force" cannot create a property for "' + wordCopy + '", which is a wildcard and matched nothing');
+                                    }
                                 }
-                                else { return undefined; }
+                                else if (!curr.skip){ return undefined; }
                             }
                             i++;
                         }
@@ -850,7 +2075,10 @@ var PathToolkit = function(options){
                         // "context" modifier ("@" by default) replaces current context with a value from
                         // the arguments.
                         if (curr.mods.context){
-                            if (isDigits(wordCopy)){
+                            if (curr.mods.named){
+                                ret = getBinding(args, wordCopy, change ? 'set' : 'get');
+                            }
+                            else if (isDigits(wordCopy)){
                                 placeInt = wordCopy - 1;
                                 if (args[placeInt] === UNDEF){ return undefined; }
                                 // Force args[placeInt] to String, won't atwordCopyt to process
@@ -862,9 +2090,15 @@ var PathToolkit = function(options){
                         }
                         else {
                             // Repeat basic string property processing with word and modified context
-                            if (context[wordCopy] !== UNDEF) {
-                                if (newValueHere){ context[wordCopy] = newValue; }
-                                ret = context[wordCopy];
+                            key = guardKey(resolveIndex(context, wordCopy), caller, change ? UNDEF : context);
+                            // With "force", a property named through a prefix or placeholder is
+                            // created in the same way as a plain property
+                            if (change && opt.force && key !== UNDEF && typeof context !== 'function' && !wildcardRegEx.test(wordCopy)){
+                                forceProperty(context, key, newValueHere, tk[idx + 1], newValue);
+                            }
+                            if (key !== UNDEF && context[key] !== UNDEF) {
+                                if (newValueHere){ context[key] = newValue; }
+                                ret = context[key];
                             }
                             else if (typeof context === 'function'){
 
@@ -878,11 +2112,14 @@ var PathToolkit = function(options){
                             else if (wildcardRegEx.test(wordCopy)){
                                 ret = [];
                                 for (prop in context){
-                                    if (wildCardMatch(wordCopy, prop)){
+                                    if (wildCardMatch(wordCopy, prop) && !isProtectedKey(prop)){
                                         if (newValueHere){ context[prop] = newValue; }
                                         ret.push(context[prop]);
                                     }
                                 }
+                                if (change && opt.force && !newValueHere && !ret.length){
+                                    throw new Error(caller + ' - "force" cannot create a property for "' + wordCopy + '", which is a wildcard and matched nothing');
+                                }
                             }
                             else { return undefined; }
                         }
@@ -900,33 +2137,36 @@ var PathToolkit = function(options){
                         eachLength = context.length;
                         while(i < eachLength){
                             if (curr.simple){
-                                if (newValueHere){
-                                    context[i][_this.get(context[i], {t:curr.t, simple:true})] = newValue;
-                                }
-                                ret.push(context[i][_this.get(context[i], {t:curr.t, simple:true})]);
+                                key = guardKey(_this.get(context[i], {t:curr.t, simple:true}), caller, change ? UNDEF : context[i]);
                             }
                             else {
-                                if (newValueHere){
-                                    context[i][resolvePath(context[i], curr, UNDEF, args, valueStack)] = newValue;
-                                }
-                                ret.push(context[i][resolvePath(context[i], curr, UNDEF, args, valueStack)]);
+                                key = guardKey(resolvePath(context[i], curr, UNDEF, args, valueStack), caller, change ? UNDEF : context[i]);
                             }
+                            if (change && opt.force){
+                                forceProperty(context[i], forceKey(key, curr, caller), newValueHere, tk[idx + 1], newValue);
+                            }
+                            if (newValueHere){
+                                context[i][key] = newValue;
+                            }
+                            ret.push(context[i][key]);
                             i++;
                         }
                     }
                     else {
                         if (curr.simple){
-                            if (newValueHere){
-                                context[_this.get(context, {t: curr.t, simple:true})] = newValue;
-                            }
-                            ret = context[_this.get(context, {t:curr.t, simple:true})];
+                            key = guardKey(_this.get(context, {t:curr.t, simple:true}), caller, change ? UNDEF : context);
                         }
                         else {
-                            if (newValueHere){
-                                context[resolvePath(context, curr, UNDEF, args, valueStack)] = newValue;
-                            }
-                            ret = context[resolvePath(context, curr, UNDEF, args, valueStack)];
+                            key = guardKey(resolvePath(context, curr, UNDEF, args, valueStack), caller, change ? UNDEF : context);
+                        }
+                        // With "force", the computed key is created like a plain property
+                        if (change && opt.force){
+                            forceProperty(context, forceKey(key, curr, caller), newValueHere, tk[idx + 1], newValue);
                         }
+                        if (newValueHere){
+                            context[key] = newValue;
+                        }
+                        ret = context[key];
                     }
                 }
                 // Functions are called using `call` or `apply`, depending on the state of
@@ -944,7 +2184,7 @@ var PathToolkit = function(options){
                         while(i < eachLength){
                             // If function call has arguments, process those arguments as a new path
                             if (curr.t && curr.t.length){
-                                callArgs = resolvePath(context, curr, UNDEF, args, valueStack);
+                                callArgs = callArguments(context, curr, args, valueStack);
                                 if (callArgs === UNDEF){
                                     ret.push(context[i].apply(valueStack[valueStackLength - 2][i]));
                                 }
@@ -964,12 +2204,7 @@ var PathToolkit = function(options){
                     else {
                         // If function call has arguments, process those arguments as a new path
                         if (curr.t && curr.t.length){
-                            if (curr.simple){
-                                callArgs = _this.get(context, curr);
-                            }
-                            else {
-                                callArgs = resolvePath(context, curr, UNDEF, args, valueStack);
-                            }
+                            callArgs = callArguments(context, curr, args, valueStack);
                             if (callArgs === UNDEF){
                                 ret = context.apply(valueStack[valueStackLength - 2]);
                             }
@@ -986,6 +2221,10 @@ var PathToolkit = function(options){
                     }
                 }
             }
+            // Matches of a chained JSONPath selector form a single list rather than one list per value
+            if (curr && curr.flat && Array.isArray(ret)){
+                ret = Array.prototype.concat.apply([], ret);
+            }
             // Add the return value to the stack in case we must loop again.
             // Recursive calls pass the same valueStack array around, but we don't want to
             // push entries on the stack inside a recursion, so instead use fixed array
@@ -996,6 +2235,8 @@ var PathToolkit = function(options){
             valueStack[valueStackLength++] = ret;
             context = ret;
             prev = ret;
+            // After a fork, a token without "each" indexes the list of matches, unless it forks again
+            forked = forked && !(curr && curr.doEach) && !isForkToken(curr) ? false : forked || isForkToken(curr);
             idx++;
         }
         return context;
@@ -1018,24 +2259,28 @@ var PathToolkit = function(options){
         var change = newValue !== UNDEF,
             tk = [],
             i = 0,
-            tkLength = 0;
+            tkLength = 0,
+            key;
 
         tk = path.split(propertySeparator);
         opt.useCache && (cache[path] = {t: tk, simple: true});
         tkLength = tk.length;
         while (obj !== UNDEF && i < tkLength){
             if (tk[i] === ''){ return undefined; }
+            key = guardKey(resolveIndex(obj, tk[i]), change ? 'set' : 'get', change ? UNDEF : obj);
+            if (key === UNDEF){ return undefined; }
             else if (change){
                 if (i === tkLength - 1){
-                    obj[tk[i]] = newValue;
+                    obj[key] = newValue;
                 }
                 // For arrays, test current context against undefined to avoid parsing this segment as a number.
                 // For anything else, use hasOwnProperty.
-                else if (opt.force && typeof obj[tk[i]] === 'undefined') {
-                    obj[tk[i]] = {};
+                else if (opt.force && typeof obj[key] === 'undefined') {
+                    obj[key] = newContainer(tk[i + 1]);
                 }
             }
-            obj = obj[tk[i++]];
+            obj = obj[key];
+            i++;
         }
         return obj;
     };
@@ -1054,25 +2299,1091 @@ var PathToolkit = function(options){
     var quickResolveTokenArray = function(obj, tk, newValue){
         var change = newValue !== UNDEF,
             i = 0,
-            tkLength = tk.length;
+            tkLength = tk.length,
+            key;
 
         while (obj != null && i < tkLength){
             if (tk[i] === ''){ return undefined; }
+            key = guardKey(resolveIndex(obj, tk[i]), change ? 'set' : 'get', change ? UNDEF : obj);
+            if (key === UNDEF){ return undefined; }
             else if (change){
                 if (i === tkLength - 1){
-                    obj[tk[i]] = newValue;
+                    obj[key] = newValue;
                 }
                 // For arrays, test current context against undefined to avoid parsing this segment as a number.
                 // For anything else, use hasOwnProperty.
-                else if (opt.force && typeof obj[tk[i]] === 'undefined') {
-                    obj[tk[i]] = {};
+                else if (opt.force && typeof obj[key] === 'undefined') {
+                    obj[key] = newContainer(tk[i + 1]);
                 }
             }
-            obj = obj[tk[i++]];
+            obj = obj[key];
+            i++;
         }
         return obj;
     };
 
+    /**
+     * Existence test for simple token arrays, the counterpart of `quickResolveTokenArray`.
+     * @private
+     * @param  {Object} obj The data object
+     * @param  {Array} tk   Plain property names
+     * @return {Boolean}    True if the final property exists, according to the `in` operator
+     */
+    var quickHas = function(obj, tk){
+        var parent = quickResolveTokenArray(obj, tk.slice(0, -1)),
+            key = UNDEF;
+        if (isObject(parent) && tk.length && tk[tk.length - 1] !== ''){
+            key = resolveIndex(parent, tk[tk.length - 1]);
+        }
+        return key !== UNDEF && guardKey(key, 'has', parent) in parent;
+    };
+
+    /**
+     * Test whether the properties addressed by the final token of a keypath exist in `context`,
+     * the value reached by the earlier tokens. A property exists if the `in` operator finds it.
+     * Tokens which may select several properties give one result per selected property, so a
+     * wildcard, slice, filter or "**" which selects nothing gives an empty list.
+     * @private
+     * @param  {Any} context      Value reached by the earlier tokens
+     * @param  {Any} curr         Final token
+     * @param  {Array} args       Extra arguments for placeholders
+     * @param  {Array} valueStack Values reached by the earlier tokens, ending with `context`
+     * @return {Array}            One boolean per addressed property
+     */
+    var tokenExists = function(context, curr, args, valueStack){
+        var found = [],
+            key,
+            prop;
+        var exists = function(){ return true; };
+
+        if (typeof curr === $STRING || curr.q !== UNDEF){
+            key = typeof curr === $STRING ? resolveIndex(context, curr) : curr.q;
+            return [isObject(context) && key !== UNDEF && guardKey(key, 'has', context) in context];
+        }
+        if (curr.tt){
+            curr.tt.forEach(function(member){
+                found = found.concat(tokenExists(context, member, args, valueStack));
+            });
+            return found;
+        }
+        if (curr.sl){
+            return Array.isArray(context) ? sliceIndices(context.length, curr.sl).map(exists) : found;
+        }
+        if (curr.f){
+            return Array.isArray(context) ? filterIndices(context, curr.f, args, valueStack).map(exists) : found;
+        }
+        if (curr.dd){
+            return deepLocations({value: context, segs: []}, curr.dd, 'has').map(exists);
+        }
+        if (curr.w !== UNDEF){
+            key = curr.w;
+            if (curr.mods.parent){ context = valueStack[valueStack.length - 1 - curr.mods.parent]; }
+            if (curr.mods.root){ context = valueStack[0]; }
+            if (curr.mods.placeholder && curr.mods.named){
+                key = getBindingKey(args, key, 'has');
+            }
+            else if (curr.mods.placeholder){
+                if (args[key - 1] == null){ return [false]; }
+                key = args[key - 1].toString();
+            }
+            if (!isObject(context)){ return [false]; }
+            if (resolveIndex(context, key) !== UNDEF && guardKey(resolveIndex(context, key), 'has', context) in context){
+                return [true];
+            }
+            if (!wildcardRegEx.test(key)){ return [false]; }
+            for (prop in context){
+                if (wildCardMatch(key, prop) && !isProtectedKey(prop)){
+                    found.push(true);
+                }
+            }
+            return found;
+        }
+        // Eval property: the property name is the value of the inner keypath
+        key = curr.simple ? _this.get(context, {t: curr.t, simple: true}) : resolvePath(context, curr, UNDEF, args, valueStack.slice());
+        return [isObject(context) && key !== UNDEF && guardKey(key, 'has', context) in context];
+    };
+
+    /**
+     * Test whether a keypath exists in `obj`. The earlier tokens are resolved one at a time
+     * as in `resolvePath`, keeping the value stack for parent and root prefixes, and the
+     * final token is tested with `tokenExists`. Final tokens which do not name a property
+     * (function calls, context placeholders, literals) exist if their value is not undefined.
+     * @private
+     * @param  {Object} obj  The data object
+     * @param  {Any} path    Keypath or token set
+     * @param  {Array} args  Extra arguments for placeholders
+     * @param  {Boolean} any True if one existing property is enough, false if all must exist
+     * @return {Boolean}     True if the keypath exists
+     */
+    var hasPath = function(obj, path, args, any){
+        var tk = path,
+            stack = [obj],
+            context = obj,
+            curr,
+            found,
+            i;
+
+        if (typeof path === $STRING){
+            if (opt.useCache && cache[path] && cache[path].simple){
+                return quickHas(obj, cache[path].t);
+            }
+            if (!simplePathRegEx.test(path)){
+                tk = path.split(propertySeparator);
+                opt.useCache && (cache[path] = {t: tk, simple: true});
+                return quickHas(obj, tk);
+            }
+            tk = tokenize(path);
+            if (tk === UNDEF){
+                if (syntaxError.safe){ throw new PathSyntaxError(path, syntaxError.offset, syntaxError.expected); }
+                return false;
+            }
+        }
+        else if (Array.isArray(path.t) && path.simple){
+            return quickHas(obj, path.t);
+        }
+        else if (opt.safe){
+            checkSafeTokens(path.t ? path.t : [path], 'has');
+        }
+        tk = tk.t ? tk.t : [tk];
+        if (!tk.length){ return false; }
+
+        for (i = 0; i < tk.length - 1; i++){
+            curr = tk[i];
+            context = resolvePath(context, {t: [curr]}, UNDEF, args, stack.slice());
+            if (context === UNDEF){ return false; }
+            if (curr && curr.mods && curr.mods.root){ stack = [obj]; }
+            stack.push(context);
+        }
+
+        curr = tk[tk.length - 1];
+        if (curr.exec === $CALL || curr.hasOwnProperty('v') || (curr.mods && curr.mods.context)){
+            return resolvePath(context, {t: [curr]}, UNDEF, args, stack.slice()) !== UNDEF;
+        }
+        if (curr.doEach){
+            if (!Array.isArray(context)){ return false; }
+            found = [];
+            context.forEach(function(element){
+                found = found.concat(tokenExists(element, curr, args, stack.concat([element])));
+            });
+        }
+        else {
+            found = tokenExists(context, curr, args, stack);
+        }
+        return found.length > 0 && (any ? found.indexOf(true) !== -1 : found.indexOf(false) === -1);
+    };
+
+    /**
+     * Build the location record for property `key` of `parent`. Array indices are
+     * stored as numbers in the accumulated path segments, as `scanForValue` does. Functions
+     * listed in `locationReaders` may read a protected name which is an own property of `parent`.
+     * @private
+     * @param  {Object} parent Object or array holding the property
+     * @param  {String} key    Property name or index
+     * @param  {Array} segs    Path segments leading to `parent`
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Object}        Location record {parent, key, value, segs}
+     */
+    var locate = function(parent, key, segs, caller){
+        guardKey(key, caller, locationReaders.indexOf(caller) !== -1 ? parent : UNDEF);
+        if (Array.isArray(parent) && isDigits(key)){ key = +key; }
+        return {parent: parent, key: key, value: parent[key], segs: segs.concat(key)};
+    };
+
+    /**
+     * Convert the path segments of a location record back into tokens for `set`. Array indices
+     * are numbers in the segments, so digit strings are object keys and become quoted keys; this
+     * keeps "force" from creating an array where the location has an object.
+     * @private
+     * @param  {Array} segs Path segments from a location record
+     * @return {Array}      Token array
+     */
+    var segmentTokens = function(segs){
+        return segs.map(function(seg){
+            return typeof seg === 'number' ? String(seg) : quotedKey(seg, true);
+        });
+    };
+
+    /**
+     * Test whether a token can match several values: a wildcard, collection, slice, filter, "**"
+     * or any token after the "each" separator.
+     * @private
+     * @param  {Any} token String or token object
+     * @return {Boolean}   True for a token giving a list of matches
+     */
+    var isForkToken = function(token){
+        return !!(token && (token.doEach || token.tt || token.sl || token.f || token.dd || (token.w !== UNDEF && wildcardRegEx.test(token.w))));
+    };
+
+    /**
+     * Test whether a token names a single property: a plain or quoted property name, or a word
+     * without prefixes or wildcards, as after the "each" separator.
+     * @private
+     * @param  {Any} token String or token object
+     * @return {Boolean}   True for a property name
+     */
+    var isPropertyToken = function(token){
+        return typeof token === $STRING || token.q !== UNDEF || (token.w !== UNDEF && !token.mods.has && !wildcardRegEx.test(token.w));
+    };
+
+    /**
+     * Apply a single token to one location and list the concrete locations it addresses.
+     * Only tokens which address properties directly are supported: plain properties,
+     * wildcards, collections of those, slices, filters and recursive descent, and with
+     * "evaluate" also placeholders and eval properties.
+     * @private
+     * @param  {Object} loc    Location record the token is applied to
+     * @param  {Any} token     String or token object
+     * @param  {String} caller Name of the public function, used in error messages
+     * @param  {Boolean} force Optional; If true, a missing value followed by property names stands for a new object
+     * @param  {Object} evaluate Optional; {root, args} to support placeholders and eval properties, which need the placeholder arguments and the root object
+     * @return {Array}         Location records
+     */
+    var tokenLocations = function(loc, token, caller, force, evaluate){
+        var value = loc.value,
+            found = [],
+            key;
+
+        // A placeholder names a single property, which is then located like a plain one
+        if (evaluate && token.w !== UNDEF && token.mods.placeholder && !token.mods.parent && !token.mods.root){
+            if (token.mods.named){ key = getBindingKey(evaluate.args, token.w, caller); }
+            else if (evaluate.args[token.w - 1] != null){ key = evaluate.args[token.w - 1].toString(); }
+            return key === UNDEF ? found : tokenLocations(loc, key, caller, force, evaluate);
+        }
+        if (!isObject(value)){
+            if (!(force && value === UNDEF && (isPropertyToken(token) || (token.tt && token.tt.every(isPropertyToken))))){ return found; }
+            value = newContainer(token);
+            // The members of a collection share the new object
+            loc = {parent: loc.parent, key: loc.key, value: value, segs: loc.segs, created: true};
+        }
+        if (token.q !== UNDEF){
+            found.push(locate(value, token.q, loc.segs, caller));
+        }
+        else if (typeof token === $STRING || (token.w !== UNDEF && !token.mods.has && !wildcardRegEx.test(token.w))){
+            key = resolveIndex(value, typeof token === $STRING ? token : token.w);
+            if (key !== UNDEF){ found.push(locate(value, key, loc.segs, caller)); }
+        }
+        else if (token.w !== UNDEF && !token.mods.has){
+            for (key in value){
+                if (wildCardMatch(token.w, key) && !isProtectedKey(key)){ found.push(locate(value, key, loc.segs, caller)); }
+            }
+        }
+        else if (token.tt){
+            token.tt.forEach(function(member){
+                found = found.concat(tokenLocations(loc, member, caller, force, evaluate));
+            });
+        }
+        else if (token.sl){
+            if (Array.isArray(value)){
+                found = sliceIndices(value.length, token.sl).map(function(idx){
+                    return locate(value, idx, loc.segs, caller);
+                });
+            }
+        }
+        else if (token.dd){
+            found = deepLocations(loc, token.dd, caller);
+        }
+        else if (token.f){
+            if (Array.isArray(value)){
+                found = filterIndices(value, token.f, [], [value]).map(function(idx){
+                    return locate(value, idx, loc.segs, caller);
+                });
+            }
+        }
+        else if (token.exec === $EVALPROPERTY && evaluate){
+            // Rebuild the value stack leading to this location, so prefixes inside the eval property work
+            key = resolvePath(value, token, UNDEF, evaluate.args, loc.segs.reduce(function(stack, seg){
+                return stack.concat([isObject(stack[stack.length - 1]) ? stack[stack.length - 1][seg] : UNDEF]);
+            }, [evaluate.root]));
+            if (typeof key === $STRING || typeof key === 'number'){ found.push(locate(value, key, loc.segs, caller)); }
+        }
+        else {
+            throw new Error(caller + ' - path must contain only properties, wildcards, collections, slices, filters and \'**\'');
+        }
+        // Locations within a new object are not in the data yet
+        if (loc.created){
+            found.forEach(function(match){ match.created = true; });
+        }
+        return found;
+    };
+
+    /**
+     * Apply the token following a recursive descent operator ("**") to a location and
+     * to every object nested below it, at any depth. Only existing properties match.
+     * Objects which contain themselves are visited once, as with `findSafe`.
+     * @private
+     * @param  {Object} loc    Location record where the descent starts
+     * @param  {Any} token     Token to match at each level
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Array}         Location records, in depth-first order
+     */
+    var deepLocations = function(loc, token, caller){
+        var found = [],
+            ancestors = [];
+        var visit = function(node){
+            if (node.value === null || typeof node.value !== 'object' || ancestors.indexOf(node.value) !== -1){
+                return;
+            }
+            tokenLocations(node, token, caller).forEach(function(match){
+                if (Object.prototype.hasOwnProperty.call(match.parent, match.key)){ found.push(match); }
+            });
+            ancestors.push(node.value);
+            Object.keys(node.value).forEach(function(key){
+                if (node.value[key] !== null && typeof node.value[key] === 'object' && !isProtectedKey(key)){
+                    visit(locate(node.value, key, node.segs, caller));
+                }
+            });
+            ancestors.pop();
+        };
+        visit(loc);
+        return found;
+    };
+
+    /**
+     * Evaluate a filter expression tree (see `parseFilter`) against one array element.
+     * Relative paths are resolved with the element as context, and with the value stack
+     * extended by the element so that parent and root prefixes work as in eval properties.
+     * @private
+     * @param  {Object} node    Expression tree node
+     * @param  {Any} element    Array element being tested
+     * @param  {Array} args     Extra arguments for placeholders
+     * @param  {Array} stack    Value stack leading to the element, including the element
+     * @return {Any}            Value of the expression; truthy if the element is selected
+     */
+    var evalFilter = function(node, element, args, stack){
+        var a, b;
+        if (node.op === '||'){ return evalFilter(node.a, element, args, stack) || evalFilter(node.b, element, args, stack); }
+        if (node.op === '&&'){ return evalFilter(node.a, element, args, stack) && evalFilter(node.b, element, args, stack); }
+        if (node.op === '!'){ return !evalFilter(node.a, element, args, stack); }
+        if (node.op){
+            a = evalFilter(node.a, element, args, stack);
+            b = evalFilter(node.b, element, args, stack);
+            switch (node.op){
+                case '==': return a === b;
+                case '!=': return a !== b;
+                case '<': return a < b;
+                case '<=': return a <= b;
+                case '>': return a > b;
+                case '>=': return a >= b;
+                case '=~':
+                    if (typeof a !== $STRING && typeof a !== 'number'){ return false; }
+                    return (b instanceof RegExp ? b : new RegExp(b)).test(String(a));
+            }
+        }
+        if (node.re !== UNDEF){ return new RegExp(node.re, node.flags); }
+        if (node.p !== UNDEF){ return args ? args[node.p - 1] : undefined; }
+        if (node.path){
+            if (!node.path.t.length){ return element; }
+            return resolvePath(element, node.path, UNDEF, args, stack.slice());
+        }
+        return node.v;
+    };
+
+    /**
+     * List the indices of the array elements for which a filter expression is true.
+     * @private
+     * @param  {Array} ary       Array being filtered
+     * @param  {Object} filter   Expression tree
+     * @param  {Array} args      Extra arguments for placeholders
+     * @param  {Array} stack     Value stack leading to the array, including the array
+     * @return {Array}           Selected indices, in order
+     */
+    var filterIndices = function(ary, filter, args, stack){
+        var indices = [],
+            i;
+        for (i = 0; i < ary.length; i++){
+            if (evalFilter(filter, ary[i], args, stack.concat([ary[i]]))){ indices.push(i); }
+        }
+        return indices;
+    };
+
+    /**
+     * Collect the array elements selected by a filter into a new array. In `set`
+     * scenario, the selected elements are replaced by the new value.
+     * @private
+     * @param  {Array} ary       Array being filtered
+     * @param  {Object} filter   Expression tree
+     * @param  {Boolean} setHere True if the new value must replace the selected elements
+     * @param  {Any} newValue    The new value to set
+     * @param  {Array} args      Extra arguments for placeholders
+     * @param  {Array} stack     Value stack leading to the array, including the array
+     * @return {Array}           Selected values
+     */
+    var filterArray = function(ary, filter, setHere, newValue, args, stack){
+        return filterIndices(ary, filter, args, stack).map(function(idx){
+            if (setHere){ ary[idx] = newValue; }
+            return ary[idx];
+        });
+    };
+
+    /**
+     * Collect the values matched by a recursive descent token below `obj`. In `set`
+     * scenario, the new value is written to every match first.
+     * @private
+     * @param  {Object} obj      Object where the descent starts
+     * @param  {Any} token       Token following the "**" operator
+     * @param  {Boolean} setHere True if the new value must be written at each match
+     * @param  {Any} newValue    The new value to set
+     * @return {Array}           Matched values
+     */
+    var deepValues = function(obj, token, setHere, newValue){
+        return deepLocations({value: obj, segs: []}, token, setHere ? 'set' : 'get').map(function(loc){
+            if (setHere){ loc.parent[loc.key] = newValue; }
+            return loc.parent[loc.key];
+        });
+    };
+
+    /**
+     * Resolve a token array into the concrete locations it addresses within `obj`.
+     * Tokens that may match several properties (wildcards, collections, slices, filters and "**")
+     * fork the result. As in `resolvePath`, a token following a fork without the "each"
+     * separator operates on the array of matches, so only an index into that array still
+     * refers to a concrete location.
+     * @private
+     * @param  {Object} obj    The data object
+     * @param  {Array} tk      Token array
+     * @param  {String} caller Name of the public function, used in error messages
+     * @param  {Boolean} force Optional; If true, missing intermediate values followed by a property name stand for new objects
+     * @param  {Array} args    Optional; If given, placeholders and eval properties are supported and resolved with these extra arguments
+     * @return {Array}         Location records {parent, key, value, segs}, with "created" set if "force" made up the parent, which is not in the data yet
+     */
+    var resolveLocations = function(obj, tk, caller, force, args){
+        var locations = [{parent: UNDEF, key: UNDEF, value: obj, segs: []}],
+            forked = false,
+            evaluate = args ? {root: obj, args: args} : UNDEF;
+
+        opt.safe && checkSafeTokens(tk, caller);
+        tk.forEach(function(curr){
+            var idx;
+            if (curr && curr.doEach){
+                // "each" applies the token to every match, or to every element of a single array
+                if (!forked){
+                    locations = locations.reduce(function(elements, loc){
+                        return !Array.isArray(loc.value) ? elements : elements.concat(loc.value.map(function(val, i){
+                            return locate(loc.value, i, loc.segs, caller);
+                        }));
+                    }, []);
+                }
+            }
+            else if (forked){
+                idx = typeof curr === $STRING ? resolveIndex(locations, curr) : UNDEF;
+                locations = isDigits(idx) && locations[idx] ? [locations[idx]] : [];
+                forked = false;
+                return;
+            }
+            locations = locations.reduce(function(found, loc){
+                return found.concat(tokenLocations(loc, curr, caller, force, evaluate));
+            }, []);
+            forked = forked || isForkToken(curr);
+        });
+        return locations;
+    };
+
+    /**
+     * Copy-on-write update of the given locations within `value`, which is left unchanged.
+     * Only the objects and arrays along the paths to the locations are copied, and every
+     * other branch is shared with the original. Missing intermediate values become new objects.
+     * @private
+     * @param  {Any} value       Original value reached by the first "depth" path segments
+     * @param  {Array} locations Location records below `value`, from `resolveLocations`
+     * @param  {Number} depth    Number of path segments leading to `value`
+     * @param  {Function} apply  Called as apply(copy, locations, value) to change the copy of the parent of those locations
+     * @param  {String} caller   Name of the public function, used in error messages
+     * @return {Any}             The copy of `value`
+     */
+    var writeLocations = function(value, locations, depth, apply, caller){
+        var copy,
+            keys = [],
+            groups = Object.create(null),
+            here = [];
+
+        if (typeof value === 'function'){
+            throw new Error(caller + ' - cannot copy the function at "' + stringifyTokens(locations[0].segs.slice(0, depth), caller) + '"');
+        }
+        // A missing value becomes an array if the next segment is an array index (see `locate`)
+        copy = isObject(value) ? shallowCopy(value) : typeof locations[0].segs[depth] === 'number' ? [] : {};
+        locations.forEach(function(loc){
+            var key = loc.segs[depth];
+            if (loc.segs.length === depth + 1){ here.push(loc); }
+            else {
+                if (!groups[key]){ groups[key] = []; keys.push(key); }
+                groups[key].push(loc);
+            }
+        });
+        keys.forEach(function(key){
+            copy[key] = writeLocations(isObject(value) ? value[key] : UNDEF, groups[key], depth + 1, apply, caller);
+        });
+        here.length && apply(copy, here, value);
+        return copy;
+    };
+
+    /**
+     * Deep-merge "source" into "target" for `merge`. Plain objects are merged key by key and
+     * arrays according to "arrays"; any other source value replaces the target. Values taken from
+     * "source" are copied, so the result never shares an object or array with it.
+     * @private
+     * @param  {Any} target      Current value, changed in place where it is merged
+     * @param  {Any} source      Value to merge in
+     * @param  {String} arrays   "replace", "concat" or "byIndex"
+     * @param  {Array} segs      Path segments leading to "target"
+     * @param  {Array} changed   Receives the path segments of every value which was replaced or added
+     * @param  {Array} ancestors Objects of "source" being merged, to detect circular references
+     * @return {Any}             The value to store in place of "target"
+     * @throws {Error} If "source" contains itself
+     */
+    var mergeValue = function(target, source, arrays, segs, changed, ancestors){
+        var start = 0;
+
+        if (ancestors.indexOf(source) !== -1){
+            throw new Error('merge - the value contains a circular reference at "' + stringifyTokens(segmentTokens(segs), 'merge') + '"');
+        }
+        if (isPlainObject(source) && isPlainObject(target)){
+            ancestors.push(source);
+            Object.keys(source).forEach(function(key){
+                // As with `set`, an undefined value is not stored
+                if (source[key] === UNDEF){ return; }
+                target[guardKey(key, 'merge')] = mergeValue(target[key], source[key], arrays, segs.concat(key), changed, ancestors);
+            });
+            ancestors.pop();
+            return target;
+        }
+        if (Array.isArray(source) && Array.isArray(target) && arrays !== 'replace'){
+            start = arrays === 'concat' ? target.length : 0;
+            ancestors.push(source);
+            source.forEach(function(item, i){
+                target[start + i] = mergeValue(target[start + i], item, arrays, segs.concat(start + i), changed, ancestors);
+            });
+            ancestors.pop();
+            return target;
+        }
+        if (source === target){ return target; }
+        changed.push(segs);
+        // Copy by merging into an empty object or array, without recording the copied contents
+        if (isPlainObject(source) || Array.isArray(source)){
+            return mergeValue(Array.isArray(source) ? [] : {}, source, 'byIndex', segs, [], ancestors);
+        }
+        return source;
+    };
+
+    /**
+     * List the identity of each element of an array for `diff`, read from the element at the
+     * keypath "key". Returns `undefined` if an element has no identity or two share one, in which
+     * case the array can only be compared by index.
+     * @private
+     * @param  {Array} ary  Array of elements
+     * @param  {Any} key    Keypath or token set of the identity within each element
+     * @return {Array}      Identities, in element order, or `undefined`
+     */
+    var identities = function(ary, key){
+        var ids = ary.map(function(element){
+            return isObject(element) ? _this.get(element, key) : UNDEF;
+        });
+        return ids.every(function(id, i){ return id !== UNDEF && ids.indexOf(id) === i; }) ? ids : UNDEF;
+    };
+
+    /**
+     * Compare two values for `diff` and append the changes which turn "a" into "b" to "changes".
+     * Plain objects are compared key by key and arrays element by element, by index or, if "key"
+     * is given, by the identity of each element. Any other values are compared with `===`.
+     * The changes are ordered so that applying them one after the other leaves every later path
+     * valid: array elements are removed from the highest index down, matched elements are moved
+     * into their new order, then new elements are added from the lowest index up.
+     * As in `findSafe`, an object which appears again among its own ancestors is a circular reference.
+     * @private
+     * @param  {Any} a            Old value
+     * @param  {Any} b            New value
+     * @param  {Array} segs       Path segments leading to both values
+     * @param  {Any} key          Optional; Keypath of the identity of array elements
+     * @param  {Array} changes    Receives the changes
+     * @param  {Array} ancestors  Pairs of old and new objects being compared, to detect circular references
+     * @throws {Error} If either value contains a circular reference
+     */
+    var diffValues = function(a, b, segs, key, changes, ancestors){
+        var path = function(more){ return stringifyTokens(segmentTokens(segs.concat(more === UNDEF ? [] : [more])), 'diff'); },
+            idsA, idsB, common, i;
+
+        // NaN is equal to itself here, so an unchanged NaN is not a change
+        if (a === b || (a !== a && b !== b)){ return; }
+        if (!(Array.isArray(a) && Array.isArray(b)) && !(isPlainObject(a) && isPlainObject(b))){
+            changes.push({op: 'replace', path: path(), oldValue: a, newValue: b});
+            return;
+        }
+        if (ancestors.some(function(pair){ return pair[0] === a || pair[1] === b; })){
+            throw new Error('diff - circular reference at "' + path() + '"');
+        }
+        ancestors.push([a, b]);
+        if (!Array.isArray(a)){
+            Object.keys(a).forEach(function(k){
+                if (Object.prototype.hasOwnProperty.call(b, k)){ diffValues(a[k], b[k], segs.concat(k), key, changes, ancestors); }
+                else { changes.push({op: 'remove', path: path(k), oldValue: a[k]}); }
+            });
+            Object.keys(b).forEach(function(k){
+                if (!Object.prototype.hasOwnProperty.call(a, k)){ changes.push({op: 'add', path: path(k), newValue: b[k]}); }
+            });
+        }
+        else if (key !== UNDEF && (idsA = identities(a, key)) && (idsB = identities(b, key))){
+            for (i = a.length - 1; i >= 0; i--){
+                if (idsB.indexOf(idsA[i]) === -1){ changes.push({op: 'remove', path: path(i), oldValue: a[i]}); }
+            }
+            // Move the remaining elements into their order in "b", tracking their identities in "common"
+            common = idsA.filter(function(id){ return idsB.indexOf(id) !== -1; });
+            idsB.filter(function(id){ return idsA.indexOf(id) !== -1; }).forEach(function(id, j){
+                var from = common.indexOf(id);
+                if (from !== j){
+                    changes.push({op: 'move', from: path(from), path: path(j)});
+                    common.splice(from, 1);
+                    common.splice(j, 0, id);
+                }
+            });
+            b.forEach(function(element, j){
+                if (idsA.indexOf(idsB[j]) === -1){ changes.push({op: 'add', path: path(j), newValue: element}); }
+            });
+            // After the removals, moves and additions, every remaining element is at its index in "b"
+            b.forEach(function(element, j){
+                if (idsA.indexOf(idsB[j]) !== -1){ diffValues(a[idsA.indexOf(idsB[j])], element, segs.concat(j), key, changes, ancestors); }
+            });
+        }
+        else {
+            for (i = 0; i < Math.min(a.length, b.length); i++){
+                diffValues(a[i], b[i], segs.concat(i), key, changes, ancestors);
+            }
+            for (i = a.length; i < b.length; i++){
+                changes.push({op: 'add', path: path(i), newValue: b[i]});
+            }
+            for (i = a.length - 1; i >= b.length; i--){
+                changes.push({op: 'remove', path: path(i), oldValue: a[i]});
+            }
+        }
+        ancestors.pop();
+    };
+
+    /**
+     * Split the path of a JSON Patch operation into property names and indices for `applyPatch`.
+     * A path which is empty or starts with "/" is a JSON Pointer; anything else is a keypath,
+     * which may only contain property names and indices.
+     * @private
+     * @param  {String} path   JSON Pointer or keypath
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Array}         Property names and indices
+     * @throws {Error} If the path is not a string or the keypath uses other operators
+     */
+    var patchSegments = function(path, caller){
+        if (typeof path !== $STRING){
+            throw new Error(caller + ' - path must be a JSON Pointer or keypath string');
+        }
+        if (path === '' || path.charAt(0) === '/'){ return pointerToSegments(path); }
+        return _this.parse(path).t.map(function(token){
+            if (typeof token === $STRING){ return token; }
+            if (token.q !== UNDEF){ return token.q; }
+            throw new Error(caller + ' - path "' + path + '" may only contain property names and indices');
+        });
+    };
+
+    /**
+     * Read the value at the given path segments for `applyPatch`. As JSON Patch requires, every
+     * segment must be an existing own property.
+     * @private
+     * @param  {Any} root      Document
+     * @param  {Array} segs    Property names and indices
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Any}           The value found
+     * @throws {Error} If the path does not exist
+     */
+    var patchRead = function(root, segs, caller){
+        return segs.reduce(function(node, seg){
+            if (!isObject(node) || !Object.prototype.hasOwnProperty.call(node, seg) || (Array.isArray(node) && !pointerIndexRegex.test(seg))){
+                throw new Error(caller + ' - nothing found at "' + segmentsToPointer(segs) + '"');
+            }
+            return node[guardKey(seg, caller)];
+        }, root);
+    };
+
+    /**
+     * Apply one of the basic JSON Patch operations "add", "remove" and "replace" for `applyPatch`.
+     * The other operations are made of these, so the inverse of every change is one of them too.
+     * @private
+     * @param  {Any} root      Document, changed in place
+     * @param  {String} op     "add", "remove" or "replace"
+     * @param  {Array} segs    Property names and indices of the target
+     * @param  {Any} value     New value for "add" and "replace"
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Object}        {root, inverse}: the document, which is new if the whole document was replaced, and the operation which undoes this one
+     * @throws {Error} If the target or its parent does not exist as the operation requires
+     */
+    var patchValue = function(root, op, segs, value, caller){
+        var parent,
+            key,
+            old,
+            idx,
+            exists;
+
+        if (segs.length === 0){
+            if (op === 'remove'){ throw new Error(caller + ' - cannot remove the whole document'); }
+            return {root: value, inverse: {op: 'replace', path: '', value: root}};
+        }
+        parent = patchRead(root, segs.slice(0, -1), caller);
+        key = guardKey(segs[segs.length - 1], caller);
+        if (Array.isArray(parent)){
+            // "-" is the position after the last element, as in `setPointer`
+            idx = op === 'add' && key === '-' ? parent.length : pointerIndexRegex.test(key) ? +key : -1;
+            if (idx < 0 || idx > parent.length || (op !== 'add' && idx === parent.length)){
+                throw new Error(caller + ' - index "' + key + '" is out of range at "' + segmentsToPointer(segs) + '"');
+            }
+            segs = segs.slice(0, -1).concat(idx);
+            old = parent[idx];
+            if (op === 'add'){
+                parent.splice(idx, 0, value);
+                return {root: root, inverse: {op: 'remove', path: segmentsToPointer(segs)}};
+            }
+            if (op === 'remove'){
+                parent.splice(idx, 1);
+                return {root: root, inverse: {op: 'add', path: segmentsToPointer(segs), value: old}};
+            }
+            parent[idx] = value;
+            return {root: root, inverse: {op: 'replace', path: segmentsToPointer(segs), value: old}};
+        }
+        if (!isObject(parent)){
+            throw new Error(caller + ' - parent of "' + segmentsToPointer(segs) + '" is not an object or array');
+        }
+        exists = Object.prototype.hasOwnProperty.call(parent, key);
+        if (op !== 'add' && !exists){
+            throw new Error(caller + ' - nothing found at "' + segmentsToPointer(segs) + '"');
+        }
+        old = parent[key];
+        if (op === 'remove'){
+            delete parent[key];
+            return {root: root, inverse: {op: 'add', path: segmentsToPointer(segs), value: old}};
+        }
+        parent[key] = value;
+        return {root: root, inverse: exists ? {op: 'replace', path: segmentsToPointer(segs), value: old} : {op: 'remove', path: segmentsToPointer(segs)}};
+    };
+
+    /**
+     * Find the arrays addressed by a keypath for the array helpers (`push`, `insert`, `removeAt`
+     * and `splice`). A missing array is created if "force" is enabled, along with any missing
+     * intermediate properties; without "force", missing arrays are skipped. Nothing is created
+     * if any value found is not an array.
+     * @private
+     * @param  {Any} obj       The data object
+     * @param  {Any} path      Keypath or token set
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {Array}         The arrays, in path order
+     * @throws {Error} If the path addresses a value which is not an array
+     */
+    var arraysAt = function(obj, path, caller){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path),
+            locations = resolveLocations(obj, tk, caller, opt.force).filter(function(loc){ return loc.segs.length > 0; }),
+            arrays = [];
+        // Check every existing value before any array is created
+        locations.forEach(function(loc){
+            if (loc.value !== UNDEF && !Array.isArray(loc.value)){
+                throw new Error(caller + ' - value at "' + stringifyTokens(loc.segs, caller) + '" is not an array');
+            }
+        });
+        locations.forEach(function(loc){
+            var created = [];
+            if (loc.value !== UNDEF){ arrays.push(loc.value); }
+            else if (opt.force && _this.set(obj, {t: segmentTokens(loc.segs)}, created)){ arrays.push(created); }
+        });
+        return arrays;
+    };
+
+    /**
+     * Shared implementation of `setIn`, `updateIn` and `unsetIn`: find the locations addressed
+     * by the path and rebuild the path to each of them with `writeLocations`.
+     * @private
+     * @param  {Any} obj         The data object, which is not changed
+     * @param  {Any} path        Keypath or token set
+     * @param  {String} caller   Name of the public function, used in error messages
+     * @param  {Boolean} force   True if missing intermediate values may be created
+     * @param  {Function} filter Optional; Keeps only the locations to write
+     * @param  {Function} apply  See `writeLocations`
+     * @return {Any}             The new root, or `obj` itself if nothing was written
+     */
+    var writeIn = function(obj, path, caller, force, filter, apply){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path),
+            locations = resolveLocations(obj, tk, caller, force).filter(function(loc, i, all){
+                // Every location once, and never the root itself
+                return loc.segs.length > 0 && (!filter || filter(loc)) && !all.slice(0, i).some(function(other){
+                    return other.parent === loc.parent && other.key === loc.key;
+                });
+            });
+        return locations.length ? writeLocations(obj, locations, 0, apply, caller) : obj;
+    };
+
+    /**
+     * Find the special character currently assigned to the given operation within
+     * a special character group (e.g., the "each" separator).
+     * @private
+     * @param  {Object} optionGroup Reference to current configuration for a certain type of special characters
+     * @param  {String} charType    The operation to look up
+     * @return {String}             The special character, or empty string if the operation is not in the current syntax
+     */
+    var findOptionChar = function(optionGroup, charType){
+        var chars = Object.keys(optionGroup),
+            i;
+        for (i = 0; i < chars.length; i++){
+            if (optionGroup[chars[i]].exec === charType){ return chars[i]; }
+        }
+        return '';
+    };
+
+    /**
+     * Same as `findOptionChar`, but throws an error naming the calling function if the operation
+     * is not available in the current syntax.
+     * @private
+     * @param  {Object} optionGroup Reference to current configuration for a certain type of special characters
+     * @param  {String} charType    The operation to look up
+     * @param  {String} caller      Name of the public function, used in the error message
+     * @return {String}             The special character
+     */
+    var requireOptionChar = function(optionGroup, charType, caller){
+        var chr = findOptionChar(optionGroup, charType);
+        if (!chr){
+            throw new Error(caller + ' - current syntax does not support "' + charType + '"');
+        }
+        return chr;
+    };
+
+    /**
+     * Convert a plain property name into a path segment that the tokenizer will read back
+     * as exactly the same property name. Segments containing special characters are quoted
+     * with the "singlequote" container, or the "doublequote" container if that is the only
+     * one available, or else escaped with backslashes. Without quotes, there is no way to
+     * write an empty property name, so it is left empty.
+     * @private
+     * @param  {String} segment Property name
+     * @return {String}         Path segment safe to include in a keypath
+     */
+    var encodeSegment = function(segment){
+        var quote = singlequote || doublequote;
+        segment = String(segment);
+        if (segment !== '' && !specialsRegEx.test(segment)){
+            return segment;
+        }
+        if (quote){
+            return argumentSegment(quoteString(quote, segment, opt.containers[quote].closer));
+        }
+        return _this.escape(segment);
+    };
+
+    /**
+     * Wrap a quoted path segment in the property container ("[ ]") while call arguments are
+     * written, since a quoted string standing alone as an argument is read as a string literal.
+     * Elsewhere, or without a property container, the segment is returned as it is.
+     * @private
+     * @param  {String} quoted Quoted path segment
+     * @return {String}        Path segment
+     */
+    var argumentSegment = function(quoted){
+        var opener = argumentDepth > 0 && findOptionChar(opt.containers, $PROPERTY);
+        return opener ? opener + quoted + opt.containers[opener].closer : quoted;
+    };
+
+    /**
+     * Convert a token array back into a keypath string using the current syntax. This is the
+     * inverse of `tokenize`: tokenizing the result produces the same tokens. Each token is
+     * written with its leading separator (the "each" separator if the token has "doEach" set),
+     * except for the first token and function calls, which attach directly to the preceding word.
+     * @private
+     * @param  {Array} tk     Token array
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {String}       Keypath
+     */
+    var stringifyTokens = function(tk, caller){
+        var path = '',
+            tkLength = tk.length,
+            i = 0,
+            curr, prev, sep;
+
+        for (i = 0; i < tkLength; i++){
+            curr = tk[i];
+            prev = tk[i-1];
+            sep = i === 0 ? '' : propertySeparator;
+            if (curr && curr.flat){
+                throw new Error(caller + ' - chained JSONPath selector at index ' + i + ' has no keypath equivalent');
+            }
+            if (curr && curr.doEach){
+                sep = requireOptionChar(opt.separators, $EACH, caller);
+            }
+            if (typeof curr === $STRING || typeof curr === 'number'){
+                path += sep + encodeSegment(curr);
+            }
+            else if (curr && curr.tt){
+                path += sep + curr.tt.map(function(member){ return stringifyToken(member, caller); })
+                    .join(requireOptionChar(opt.separators, $COLLECTION, caller));
+            }
+            else if (curr && curr.t && curr.exec === $CALL){
+                // A call inherits "doEach" from the function name before it, as in "a,b<fn()"
+                if (!curr.doEach || (prev && prev.doEach && prev.w !== UNDEF)){
+                    sep = '';
+                }
+                path += sep + stringifyToken(curr, caller);
+            }
+            else if (curr && (curr.t || curr.sl || curr.f)){
+                path += (curr.doEach ? sep : '') + stringifyToken(curr, caller);
+            }
+            else if (curr && (curr.hasOwnProperty('v') || curr.q !== UNDEF)){
+                path += sep + stringifyToken(curr, caller);
+            }
+            else if (curr && curr.dd){
+                path += sep + $WILDCARD + $WILDCARD + requireOptionChar(opt.separators, $PROPERTY, caller) +
+                    stringifyTokens([curr.dd], caller);
+            }
+            else if (curr && curr.w !== UNDEF){
+                path += sep + stringifyToken(curr, caller);
+            }
+            else {
+                throw new Error(caller + ' - invalid token at index ' + i);
+            }
+        }
+        return path;
+    };
+
+    /**
+     * Convert a single token into a keypath fragment without any leading separator.
+     * Used by `stringifyTokens` and for the members of collections.
+     * @private
+     * @param  {Any} token String or token object
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {String}    Keypath fragment
+     */
+    var stringifyToken = function(token, caller){
+        var prefix = '',
+            opener;
+        if (typeof token === $STRING || typeof token === 'number'){
+            return encodeSegment(token);
+        }
+        // Quoted key, kept quoted so it is not read as an array index
+        if (token.q !== UNDEF){
+            opener = singlequote || doublequote;
+            return opener ? argumentSegment(quoteString(opener, token.q, opt.containers[opener].closer)) : encodeSegment(token.q);
+        }
+        // Word with prefixes and/or wildcards
+        if (token.w !== UNDEF){
+            [$PARENT, $ROOT, $PLACEHOLDER, $CONTEXT].forEach(function(exec){
+                if (token.mods && token.mods[exec]){
+                    prefix += new Array(token.mods[exec] + 1).join(requireOptionChar(opt.prefixes, exec, caller));
+                }
+            });
+            if (token.w === ''){
+                return prefix + encodeSegment(token.w);
+            }
+            if (token.mods && token.mods.named){
+                opener = requireOptionChar(opt.containers, $EVALPROPERTY, caller);
+                return prefix + opener + token.w + opt.containers[opener].closer;
+            }
+            return prefix + token.w.replace(wordSpecialsRegEx, '\\$&');
+        }
+        // Literal value in call arguments
+        if (token.hasOwnProperty('v')){
+            if (typeof token.v !== $STRING){
+                return String(token.v);
+            }
+            opener = findOptionChar(opt.containers, $SINGLEQUOTE) || requireOptionChar(opt.containers, $DOUBLEQUOTE, caller);
+            return quoteString(opener, token.v, opt.containers[opener].closer);
+        }
+        // Keypath used as one of several call arguments
+        if (token.t && !token.exec){
+            return stringifyTokens(token.t, caller);
+        }
+        // Call and eval property containers, holding a nested token array
+        if (token.t){
+            opener = requireOptionChar(opt.containers, token.exec, caller);
+            if (token.exec !== $CALL){
+                return opener + stringifyTokens(token.t, caller) + opt.containers[opener].closer;
+            }
+            argumentDepth++;
+            try {
+                return opener + stringifyTokens(token.t, caller) + opt.containers[opener].closer;
+            }
+            finally {
+                argumentDepth--;
+            }
+        }
+        // Filter, written as "[?expression]" in a property container
+        if (token.f){
+            opener = requireOptionChar(opt.containers, $PROPERTY, caller);
+            return opener + '?' + stringifyFilter(token.f, caller) + opt.containers[opener].closer;
+        }
+        // Slice, written as "[start:end:step]" in a property container
+        if (token.sl){
+            opener = requireOptionChar(opt.containers, $PROPERTY, caller);
+            return opener + token.sl.slice(0, token.sl[2] === null ? 2 : 3).map(function(val){
+                return val === null ? '' : val;
+            }).join(':') + opt.containers[opener].closer;
+        }
+        throw new Error(caller + ' - invalid token');
+    };
+
+    /**
+     * Convert a filter expression tree (see `parseFilter`) back into expression text.
+     * Parentheses are added only where operator precedence requires them.
+     * @private
+     * @param  {Object} node   Expression tree node
+     * @param  {String} caller Name of the public function, used in error messages
+     * @return {String}        Filter expression
+     */
+    var stringifyFilter = function(node, caller){
+        var precedence = function(n){
+            if (!n.op){ return 5; }
+            return n.op === '||' ? 1 : n.op === '&&' ? 2 : n.op === '!' ? 4 : 3;
+        };
+        var operand = function(child, parens){
+            var str = stringifyFilter(child, caller);
+            return parens ? '(' + str + ')' : str;
+        };
+        var prec = precedence(node),
+            opener;
+
+        if (node.op === '!'){
+            return '!' + operand(node.a, precedence(node.a) < prec);
+        }
+        if (node.op){
+            return operand(node.a, precedence(node.a) < prec || (prec === 3 && precedence(node.a) === 3)) +
+                ' ' + node.op + ' ' + operand(node.b, precedence(node.b) <= prec);
+        }
+        if (node.re !== UNDEF){ return '/' + node.re + '/' + node.flags; }
+        if (node.p !== UNDEF){ return requireOptionChar(opt.prefixes, $PLACEHOLDER, caller) + node.p; }
+        if (node.path){
+            if (!node.path.t.length){
+                throw new Error(caller + ' - filter on the array element itself has no keypath equivalent');
+            }
+            return stringifyTokens(node.path.t, caller);
+        }
+        if (typeof node.v === $STRING){
+            // The filter sits in a property container, so its opener and closer must be escaped
+            opener = requireOptionChar(opt.containers, $PROPERTY, caller);
+            return quoteString('\'', node.v).split(opener).join('\\' + opener)
+                .split(opt.containers[opener].closer).join('\\' + opt.containers[opener].closer);
+        }
+        return String(node.v);
+    };
+
+    /**
+     * Collect the binding names of all named placeholders in a token array, including
+     * those nested within containers, collections and filter expressions.
+     * @private
+     * @param  {Array} tk    Token array
+     * @param  {Array} names Names found so far
+     * @return {Array}       Binding names, each listed once, in order of appearance
+     */
+    var collectBindings = function(tk, names){
+        var walkFilter = function(node){
+            if (node.path){ collectBindings(node.path.t, names); }
+            node.a && walkFilter(node.a);
+            node.b && walkFilter(node.b);
+        };
+        tk.forEach(function(token){
+            if (!token || typeof token !== 'object'){ return; }
+            if (token.mods && token.mods.named && names.indexOf(token.w) === -1){ names.push(token.w); }
+            token.t && collectBindings(token.t, names);
+            token.tt && collectBindings(token.tt, names);
+            token.dd && collectBindings([token.dd], names);
+            token.f && walkFilter(token.f);
+        });
+        return names;
+    };
+
     /**
      * Searches an object or array for a value, accumulating the keypath to the value along
      * the way. Operates in a recursive way until either all keys/indices have been
@@ -1081,23 +3392,25 @@ var PathToolkit = function(options){
      * callback function (savePath) is called which will decide whether or not to continue
      * the scan. This allows the function to find one instance of value or all instances,
      * based on logic in the callback.
+     * The path is accumulated as an array of plain property names and indices so the callback
+     * can format it as needed (keypath or JSON Pointer).
      * @private
      * @param {Object} obj    The data object to scan
      * @param {Any} val The value we are looking for within `obj`
      * @param {Function} savePath Callback function which will store accumulated paths and indicate whether to continue
-     * @param {String} path Accumulated keypath; undefined at first, populated in recursive calls
+     * @param {Array} path Accumulated path segments; undefined at first, populated in recursive calls
      * @param {Function} isCircularCb Callback function which return true if this object has circular ancestry, used by `findSafe()`
      * @return {Boolean} Indicates whether scan process should continue ("true"->yes, "false"->no)
      */
     var scanForValue = function(obj, val, savePath, path, isCircularCb){
-        var i, len, more, keys, prop;
+        var i, len, more, keys;
 
         if (typeof path === $UNDEFINED){
-            path = '';
+            path = [];
         }
         else if (typeof isCircularCb !== $UNDEFINED){
             if (isCircularCb(obj, path)){
-                throw new Error('Circular object provided. Path at "' + path + '" makes a loop.');
+                throw new Error('Circular object provided. Path at "' + stringifyTokens(path, 'findSafe') + '" makes a loop.');
             }
         }
 
@@ -1109,7 +3422,7 @@ var PathToolkit = function(options){
         else if (Array.isArray(obj)){
             len = obj.length;
             for(i = 0; i < len; i++){
-              more = scanForValue(obj[i], val, savePath, path === '' ? i : path + propertySeparator + i, isCircularCb);
+                more = scanForValue(obj[i], val, savePath, path.concat(i), isCircularCb);
                 // Call `scanForValue` recursively
                 // Halt if that recursive call returned "false"
                 if (!more){ return; }
@@ -1123,32 +3436,55 @@ var PathToolkit = function(options){
             if (len > 1){ keys = keys.sort(); } // Force order of object keys to produce repeatable results
             for (i = 0; i < len; i++){
                 if (obj.hasOwnProperty(keys[i])){
-                    prop = keys[i];
-                    // Property may include the separator character or some other special character,
-                    // so quote this path segment and escape any separators within.
-                    if (allSpecialsRegEx.test(prop)){
-                        prop = quoteString(singlequote, prop);
-                    }
-                    more = scanForValue(obj[keys[i]], val, savePath, path === '' ? prop : path + propertySeparator + prop, isCircularCb);
+                    more = scanForValue(obj[keys[i]], val, savePath, path.concat(keys[i]), isCircularCb);
                     if (!more){ return; }
                 }
             }
             return true; // keep looking
         }
-        // Leaf node (string, number, character, boolean, etc.), but didn't match
-        return true; // keep looking
+        // Leaf node (string, number, character, boolean, etc.), but didn't match
+        return true; // keep looking
+    };
+
+    /**
+     * Get tokenized representation of string keypath.
+     * @public
+     * @param {String} path Keypath
+     * @return {Object} Object including the array of path tokens, a boolean indicating "simple", and the list of binding names used by named placeholders. Simple token sets have no special operators or nested tokens, only a plain array of strings for fast evaluation.
+     */
+    _this.getTokens = function(path){
+        var tokens = tokenize(path);
+        if (typeof tokens === $UNDEFINED){ return undefined; }
+        return {t: tokens.t, simple: tokens.simple, bindings: collectBindings(tokens.t, [])};
+    };
+
+    /**
+     * Get tokenized representation of string keypath, like `getTokens`, except that an
+     * invalid keypath throws a `PathSyntaxError` describing the problem instead of
+     * returning `undefined`.
+     * @public
+     * @param {String} path Keypath
+     * @return {Object} Object including the array of path tokens and a boolean indicating "simple".
+     * @throws {PathSyntaxError} If the keypath syntax is not valid
+     */
+    _this.parse = function(path){
+        var tokens = tokenize(path);
+        if (typeof tokens === $UNDEFINED){
+            throw new PathSyntaxError(path, syntaxError.offset, syntaxError.expected);
+        }
+        return {t: tokens.t, simple: tokens.simple, bindings: collectBindings(tokens.t, [])};
     };
 
     /**
-     * Get tokenized representation of string keypath.
+     * Checks the syntax of the string path and describes the first problem found, if any.
+     * The path is NOT evaluated against a data object, only the syntax is checked.
      * @public
      * @param {String} path Keypath
-     * @return {Object} Object including the array of path tokens and a boolean indicating "simple". Simple token sets have no special operators or nested tokens, only a plain array of strings for fast evaluation.
+     * @return {PathSyntaxError} `undefined` if the syntax is valid, otherwise a `PathSyntaxError` (not thrown)
      */
-    _this.getTokens = function(path){
-        var tokens = tokenize(path);
-        if (typeof tokens === $UNDEFINED){ return undefined; }
-        return tokens;
+    _this.validate = function(path){
+        if (typeof tokenize(path) !== $UNDEFINED){ return undefined; }
+        return new PathSyntaxError(path, syntaxError.offset, syntaxError.expected);
     };
 
     /**
@@ -1156,9 +3492,15 @@ var PathToolkit = function(options){
      * data object, only the syntax is checked.
      * @public
      * @param {String} path Keypath
-     * @return {Boolean} valid syntax -> "true"; not valid -> "false"
+     * @param {Boolean} diagnostics Optional; If true, return an object describing the result instead of a boolean
+     * @return {Boolean} valid syntax -> "true"; not valid -> "false". With "diagnostics", returns `{valid: Boolean, error: PathSyntaxError}` where "error" is `undefined` for a valid path.
      */
-    _this.isValid = function(path){
+    _this.isValid = function(path, diagnostics){
+        var error;
+        if (diagnostics){
+            error = _this.validate(path);
+            return {valid: !error, error: error};
+        }
         return typeof tokenize(path) !== $UNDEFINED;
     };
 
@@ -1174,6 +3516,113 @@ var PathToolkit = function(options){
         return segment.replace(allSpecialsRegEx, '\\$&');
     };
 
+    /**
+     * Reverses `escape`, removing the backslash from any escaped character in the input string.
+     * @public
+     * @param {String} segment Escaped segment of a keypath
+     * @return {String} The segment with escape characters removed
+     */
+    _this.unescape = function(segment){
+        return segment.replace(/\\([\s\S])/g, '$1');
+    };
+
+    /**
+     * Surrounds the input string with the current "singlequote" container characters so
+     * that it will be treated as a single, literal path segment. Any quote characters and
+     * backslashes within the string are escaped. Falls back on "doublequote" if the syntax has
+     * no "singlequote", and on `escape` if the syntax has no quotes at all.
+     * @public
+     * @param {String} segment Segment of a keypath
+     * @return {String} The quoted segment
+     */
+    _this.quote = function(segment){
+        var quote = singlequote || doublequote;
+        if (!quote){ return _this.escape(segment); }
+        return quoteString(quote, segment, opt.containers[quote].closer);
+    };
+
+    /**
+     * Converts a token set, as returned by `getTokens` or `parse`, back into a keypath string
+     * using the current syntax. Property names containing special characters are quoted (see
+     * `quote`). The output is canonical: `parse(stringify(tokens))` produces tokens equal to
+     * the input tokens, though the string may differ from the keypath originally tokenized
+     * (e.g. "a[b]" becomes "a.b").
+     * @public
+     * @param {Object} tokens Token set from `getTokens` or `parse`. Also accepts a plain token array.
+     * @return {String} Keypath
+     * @throws {Error} If the tokens use an operation that is not available in the current syntax
+     */
+    _this.stringify = function(tokens){
+        return stringifyTokens(Array.isArray(tokens) ? tokens : tokens.t, 'stringify');
+    };
+
+    /**
+     * Converts an RFC 6901 JSON Pointer ("/accounts/1/checking") into a token set that may be
+     * used in place of a keypath in `get`, `set`, and other functions.
+     * @public
+     * @param {String} pointer JSON Pointer. Also accepts the URI fragment form ("#/accounts/1").
+     * @return {Object} Token set of plain property names. A segment like "-1" is a {q} token, so it is not read as a negative index.
+     * @throws {PathSyntaxError} If the pointer is not valid
+     */
+    _this.fromPointer = function(pointer){
+        var tokens = pointerToSegments(pointer).map(function(segment){
+            // Pointer segments are always literal, so "-1" is a property name and not a negative index
+            return negativeIndexRegex.test(segment) ? {'q': segment} : segment;
+        });
+        // An empty property name is valid in a pointer, but keeps the token set from being simple
+        return {t: tokens, simple: isSimpleTokens(tokens)};
+    };
+
+    /**
+     * Compiles a JSONPath expression ("$.store.book[*].author") into a token set that may be
+     * used in place of a keypath in `get`, `set`, and other functions. Supports dot and bracket
+     * child selectors, quoted names, indices, wildcards, and unions of names or indices.
+     * @public
+     * @param {String} expr JSONPath expression
+     * @return {Object} Token set
+     * @throws {PathSyntaxError} If the expression is not valid JSONPath
+     * @throws {Error} If the expression uses a JSONPath construct with no PathToolkit equivalent
+     */
+    _this.fromJSONPath = function(expr){
+        return parseJSONPath(expr);
+    };
+
+    /**
+     * Converts a keypath or token set into an RFC 6901 JSON Pointer. Only keypaths made up
+     * entirely of property names and indices can be represented as a pointer.
+     * @public
+     * @param {String} path Keypath. Also accepts a token set from `getTokens` or `parse`.
+     * @return {String} JSON Pointer
+     * @throws {Error} If the keypath uses any operation other than plain properties
+     */
+    _this.toPointer = function(path){
+        var tokens = typeof path === $STRING ? _this.parse(path) : path,
+            tk = Array.isArray(tokens) ? tokens : tokens.t;
+        tk = tk.map(function(token){
+            if (typeof token !== $STRING && typeof token !== 'number' && !(token && token.q !== UNDEF)){
+                throw new Error('toPointer - only property names and indices can be written as a JSON Pointer');
+            }
+            return token.q !== UNDEF ? token.q : token;
+        });
+        return segmentsToPointer(tk);
+    };
+
+    /**
+     * Converts a keypath written in another syntax into the syntax of this instance. The
+     * keypath is tokenized by the source PathToolkit instance (or by a temporary instance
+     * created from an options hash) and the tokens are written back out with `stringify`.
+     * @public
+     * @param {String} path Keypath in the source syntax
+     * @param {Any} from PathToolkit instance using the source syntax, or options hash describing it (see `setOptions`)
+     * @return {String} Equivalent keypath in the syntax of this instance
+     * @throws {PathSyntaxError} If the keypath is not valid in the source syntax
+     * @throws {Error} If the keypath uses an operation that is not available in this instance's syntax
+     */
+    _this.translate = function(path, from){
+        var source = from instanceof PathToolkit ? from : new PathToolkit(from);
+        return stringifyTokens(source.parse(path).t, 'translate');
+    };
+
     /**
      * Evaluates keypath in object and returns the value found there, if available. If the path
      * does not exist in the provided data object, returns `undefined` (this return value is
@@ -1290,6 +3739,39 @@ var PathToolkit = function(options){
         return returnVal === UNDEF ? defaultReturnVal : returnVal;
     };
 
+    /**
+     * Informs whether a keypath exists in an object, which `get` cannot tell when the stored value
+     * is itself `undefined`. The final property must exist according to the `in` operator; its value
+     * does not matter. When the final token selects several properties (wildcards, collections,
+     * slices, filters, "**" or the "each" separator), every one of them must exist; use `hasAny` if
+     * one is enough. Simple paths use the same optimized resolvers as `get`.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {String} path Keypath to test within "obj". Also accepts token array in place of a string path.
+     * @return {Boolean} "true" if the keypath exists in "obj"
+     */
+    _this.has = function(obj, path){
+        var args = [],
+            i;
+        for (i = 2; i < arguments.length; i++){ args[i-2] = arguments[i]; }
+        return hasPath(obj, path, args, false);
+    };
+
+    /**
+     * Same as `has`, except that when the final token selects several properties, `hasAny`
+     * only requires one of them to exist.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {String} path Keypath to test within "obj". Also accepts token array in place of a string path.
+     * @return {Boolean} "true" if the keypath exists in "obj" for at least one selected property
+     */
+    _this.hasAny = function(obj, path){
+        var args = [],
+            i;
+        for (i = 2; i < arguments.length; i++){ args[i-2] = arguments[i]; }
+        return hasPath(obj, path, args, true);
+    };
+
     /**
      * Evaluates a keypath in object and sets a new value at the point described in the keypath. If
      * "force" is disabled, the full path must exist up to the final property, which may be created
@@ -1343,6 +3825,378 @@ var PathToolkit = function(options){
         return ref !== UNDEF;
     };
 
+    /**
+     * Read-modify-write at a keypath: calls "fn" for each location the path addresses and stores
+     * the result there, as `set` would. Wildcards, collections, slices, filters, "**" and the "each"
+     * separator may address several locations, and each one gets its own call. Missing intermediate
+     * properties are created only if "force" is enabled. As with `set`, a result of `undefined`
+     * is not stored, so the old value stays in place, and extra arguments fill in placeholders.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters, "**", placeholders and eval properties only
+     * @param {Function} fn Called as fn(oldValue, concretePath, parent) for each location; returns the new value. "parent" is `undefined` if it does not exist yet.
+     * @param {...Any} args Optional; Extra arguments for placeholders, as in `set`
+     * @return {Boolean} "true" if at least one location was addressed and every new value was set; "false" otherwise
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.update = function(obj, path, fn){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path),
+            args = Array.prototype.slice.call(arguments, 3),
+            locations = resolveLocations(obj, tk, 'update', opt.force, args).filter(function(loc){ return loc.segs.length > 0; });
+
+        return locations.length > 0 && locations.map(function(loc){
+            // Read the value now, since an earlier call may have changed it
+            var parent = loc.created ? UNDEF : loc.parent,
+                oldValue = parent === UNDEF ? UNDEF : parent[loc.key];
+            return _this.set(obj, {t: segmentTokens(loc.segs)}, fn(oldValue, stringifyTokens(loc.segs, 'update'), parent));
+        }).indexOf(false) === -1;
+    };
+
+    /**
+     * Appends items to the array at a keypath, or to every array the keypath addresses through
+     * wildcards, collections, slices, filters, "**" or the "each" separator. If "force" is enabled,
+     * a missing array is created. Any other value at the keypath is an error.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {...Any} items Items to append
+     * @return {Array} New length of each array, in path order; empty if no array was found
+     * @throws {Error} If the path addresses a value which is not an array
+     */
+    _this.push = function(obj, path){
+        var items = Array.prototype.slice.call(arguments, 2);
+        return arraysAt(obj, path, 'push').map(function(ary){
+            return ary.push.apply(ary, items);
+        });
+    };
+
+    /**
+     * Inserts an item at an index of the array at a keypath, moving later elements up. Negative
+     * indices count back from the end, as in `Array.prototype.splice`. Arrays are found as in `push`.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {Number} index Position of the new item
+     * @param {Any} item Item to insert
+     * @return {Array} New length of each array, in path order; empty if no array was found
+     * @throws {Error} If the path addresses a value which is not an array
+     */
+    _this.insert = function(obj, path, index, item){
+        return arraysAt(obj, path, 'insert').map(function(ary){
+            ary.splice(index, 0, item);
+            return ary.length;
+        });
+    };
+
+    /**
+     * Removes the element at an index of the array at a keypath, moving later elements down.
+     * Negative indices count back from the end. Arrays are found as in `push`.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {Number} index Position of the element to remove
+     * @return {Array} Removed element of each array, in path order (`undefined` where the index was out of range); empty if no array was found
+     * @throws {Error} If the path addresses a value which is not an array
+     */
+    _this.removeAt = function(obj, path, index){
+        return arraysAt(obj, path, 'removeAt').map(function(ary){
+            return ary.splice(index, 1)[0];
+        });
+    };
+
+    /**
+     * Calls `Array.prototype.splice` on the array at a keypath, with the same arguments after the
+     * path. Arrays are found as in `push`.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {Number} start Position where the change starts; negative values count back from the end
+     * @param {Number} deleteCount Optional; Number of elements to remove. If missing, every element from "start" on is removed.
+     * @param {...Any} items Optional; Items to insert at "start"
+     * @return {Array} Array of removed elements for each array, in path order; empty if no array was found
+     * @throws {Error} If the path addresses a value which is not an array
+     */
+    _this.splice = function(obj, path){
+        var spliceArgs = Array.prototype.slice.call(arguments, 2);
+        return arraysAt(obj, path, 'splice').map(function(ary){
+            return ary.splice.apply(ary, spliceArgs);
+        });
+    };
+
+    /**
+     * Deletes the properties addressed by a keypath. Wildcards, collections, slices, filters, "**"
+     * and the "each" separator may select several properties, which are all deleted. Array elements
+     * are deleted with `delete` by default, which leaves a hole; if "arrayMode" is "splice", they
+     * are spliced out instead, so the array stays dense and later elements move down.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {String} arrayMode Optional; If "splice", array elements are removed with `splice` instead of `delete`.
+     * @return {Array} Keypaths of the properties which were removed, empty if nothing existed at "path"
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.unset = function(obj, path, arrayMode){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path),
+            found = [];
+
+        // Only existing properties are removed, and each of them only once
+        resolveLocations(obj, tk, 'unset').forEach(function(loc){
+            if (!isObject(loc.parent) || !Object.prototype.hasOwnProperty.call(loc.parent, loc.key)){ return; }
+            if (found.some(function(other){ return other.parent === loc.parent && other.key === loc.key; })){ return; }
+            found.push(loc);
+        });
+        found.forEach(function(loc){
+            if (arrayMode !== 'splice' || !Array.isArray(loc.parent)){ delete loc.parent[loc.key]; }
+        });
+        // Splice from the highest index down so the remaining indices stay valid
+        found.filter(function(loc){
+            return arrayMode === 'splice' && Array.isArray(loc.parent);
+        }).sort(function(a, b){ return b.key - a.key; }).forEach(function(loc){
+            loc.parent.splice(loc.key, 1);
+        });
+        return found.map(function(loc){ return stringifyTokens(loc.segs, 'unset'); });
+    };
+
+    /**
+     * Immutable counterpart of `set`: returns a new root object with the value set at the keypath,
+     * leaving "obj" unchanged. Only the objects and arrays along the written paths are copied;
+     * every untouched branch is shared by reference with "obj". Wildcards, collections, slices,
+     * filters, "**" and the "each" separator may select several properties, which are all set.
+     * Missing intermediate properties are created only if "force" is enabled.
+     * @public
+     * @param {Any} obj Source data object, which is not modified
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {Any} val New value to set at the location described in "path"
+     * @return {Any} The new root object, or "obj" itself if the path did not address any location
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.setIn = function(obj, path, val){
+        return writeIn(obj, path, 'setIn', opt.force, null, function(copy, locations){
+            locations.forEach(function(loc){ copy[loc.key] = val; });
+        });
+    };
+
+    /**
+     * Immutable update: like `setIn`, except that the new value at each location is the result of
+     * calling "fn" with the old value, the concrete keypath of the location and the (original,
+     * unmodified) parent object.
+     * @public
+     * @param {Any} obj Source data object, which is not modified
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {Function} fn Called as fn(oldValue, concretePath, parent) for each location; returns the new value
+     * @return {Any} The new root object, or "obj" itself if the path did not address any location
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.updateIn = function(obj, path, fn){
+        return writeIn(obj, path, 'updateIn', opt.force, null, function(copy, locations){
+            locations.forEach(function(loc){
+                copy[loc.key] = fn(loc.value, stringifyTokens(loc.segs, 'updateIn'), loc.parent);
+            });
+        });
+    };
+
+    /**
+     * Immutable counterpart of `unset`: returns a new root object without the properties addressed
+     * by the keypath, leaving "obj" unchanged. As in `unset`, array elements leave a hole unless
+     * "arrayMode" is "splice".
+     * @public
+     * @param {Any} obj Source data object, which is not modified
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {String} arrayMode Optional; If "splice", array elements are removed with `splice` instead of `delete`.
+     * @return {Any} The new root object, or "obj" itself if nothing existed at "path"
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.unsetIn = function(obj, path, arrayMode){
+        return writeIn(obj, path, 'unsetIn', false, function(loc){
+            return isObject(loc.parent) && Object.prototype.hasOwnProperty.call(loc.parent, loc.key);
+        }, function(copy, locations){
+            locations.filter(function(loc){
+                return arrayMode === 'splice' && Array.isArray(copy);
+            }).sort(function(a, b){ return b.key - a.key; }).forEach(function(loc){
+                copy.splice(loc.key, 1);
+            });
+            locations.forEach(function(loc){
+                if (arrayMode !== 'splice' || !Array.isArray(copy)){ delete copy[loc.key]; }
+            });
+        });
+    };
+
+    /**
+     * Deep-merges a value into the value at a keypath, or into every value the keypath addresses
+     * through wildcards, collections, slices, filters, "**" or the "each" separator. Plain objects
+     * are merged key by key, at any depth; any other value in "value" replaces the one in place,
+     * except for arrays, which are treated according to the "arrays" option:
+     * "replace" (the default) replaces the array, "concat" appends the new elements and "byIndex"
+     * merges elements at the same index. Values are copied out of "value", so "obj" never shares
+     * objects with it. A missing target is created as `set` would, including missing intermediate
+     * properties if "force" is enabled.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters and "**" only
+     * @param {Any} value Value to merge in
+     * @param {Object} options Optional; {arrays: 'replace'|'concat'|'byIndex'}
+     * @return {Array} Keypaths of the values which were replaced or added, empty if nothing changed
+     * @throws {Error} If the "arrays" option is not known, or "value" contains a circular reference
+     */
+    _this.merge = function(obj, path, value, options){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path),
+            arrays = options && options.arrays || 'replace',
+            changed = [],
+            done = [];
+
+        if (['replace', 'concat', 'byIndex'].indexOf(arrays) === -1){
+            throw new Error('merge - unknown "arrays" option "' + arrays + '", expected "replace", "concat" or "byIndex"');
+        }
+        resolveLocations(obj, tk, 'merge', opt.force).forEach(function(loc){
+            var merged;
+            // Every location once, and never the root itself
+            if (loc.segs.length === 0 || done.some(function(other){ return other.parent === loc.parent && other.key === loc.key; })){ return; }
+            done.push(loc);
+            if (loc.value === UNDEF){
+                merged = mergeValue(UNDEF, value, arrays, loc.segs, [], []);
+                if (_this.set(obj, {t: segmentTokens(loc.segs)}, merged)){ changed.push(loc.segs); }
+            }
+            else {
+                loc.parent[loc.key] = mergeValue(loc.parent[loc.key], value, arrays, loc.segs, changed, []);
+            }
+        });
+        return changed.map(function(segs){ return stringifyTokens(segmentTokens(segs), 'merge'); });
+    };
+
+    /**
+     * Evaluates an RFC 6901 JSON Pointer in object and returns the value found there, like `get`.
+     * The empty pointer "" refers to the whole object.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {String} pointer JSON Pointer
+     * @return {Any} If the pointer exists in "obj", return the value at that location; If not, return `undefined`.
+     * @throws {PathSyntaxError} If the pointer is not valid
+     */
+    _this.getPointer = function(obj, pointer){
+        return _this.get(obj, _this.fromPointer(pointer));
+    };
+
+    /**
+     * Evaluates an RFC 6901 JSON Pointer in object and sets a new value at that location, like
+     * `set`. As in JSON Patch, a final segment of "-" on an array refers to the position after
+     * the last element, so the value is appended.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {String} pointer JSON Pointer
+     * @param {Any} val New value to set at the location described in "pointer"
+     * @return {Boolean} "true" if the set operation succeeds; "false" if it does not succeed
+     * @throws {PathSyntaxError} If the pointer is not valid
+     */
+    _this.setPointer = function(obj, pointer, val){
+        var tokens = _this.fromPointer(pointer),
+            lastIdx = tokens.t.length - 1,
+            parent;
+        if (lastIdx < 0){ return false; } // can't replace the root object itself
+        if (tokens.t[lastIdx] === '-'){
+            parent = quickResolveTokenArray(obj, tokens.t.slice(0, lastIdx));
+            if (Array.isArray(parent)){
+                tokens.t[lastIdx] = String(parent.length);
+            }
+        }
+        return _this.set(obj, tokens, val);
+    };
+
+    /**
+     * Applies an RFC 6902 JSON Patch: a list of "add", "remove", "replace", "move", "copy" and
+     * "test" operations, in order. The path of each operation (and "from" for "move" and "copy")
+     * may be a JSON Pointer or a keypath made of property names and indices; an empty path or one
+     * starting with "/" is a pointer. The document is changed in place, except that an operation
+     * on the whole document replaces it, so the returned document must be used.
+     * If an operation fails, including a "test" which doesn't match, an Error is thrown. By default
+     * the changes made by earlier operations are rolled back first, so the document is as it was
+     * before the call; with "atomic" set to false, they are kept.
+     * @public
+     * @param {Any} obj Document to patch
+     * @param {Array} ops JSON Patch operations, or the changes listed by `diff`
+     * @param {Object} options Optional; {atomic: Boolean, inverse: Boolean}. "atomic" defaults to true. If "inverse" is true, the result includes the patch which undoes this one.
+     * @return {Any} The patched document, or {result, inverse} if the "inverse" option is true. The inverse patch uses JSON Pointers.
+     * @throws {Error} If "ops" is not an array, or an operation is not valid or fails
+     */
+    _this.applyPatch = function(obj, ops, options){
+        var atomic = !(options && options.atomic === false),
+            root = obj,
+            undo = [],
+            i = 0,
+            caller,
+            operation,
+            path,
+            from,
+            value,
+            mismatch;
+        var apply = function(op, segs, val){
+            var done = patchValue(root, op, segs, val, caller);
+            root = done.root;
+            undo.unshift(done.inverse);
+        };
+
+        if (!Array.isArray(ops)){
+            throw new Error('applyPatch - operations must be an array, not ' + (ops === null ? 'null' : typeof ops));
+        }
+        try {
+            for (i = 0; i < ops.length; i++){
+                operation = ops[i];
+                caller = 'applyPatch - operation ' + i;
+                if (!isObject(operation) || Array.isArray(operation)){
+                    throw new Error(caller + ' - operation must be an object');
+                }
+                path = patchSegments(operation.path, caller);
+                // Changes listed by `diff` carry the value as "newValue"
+                value = 'value' in operation ? operation.value : operation.newValue;
+                if ((operation.op === 'add' || operation.op === 'replace' || operation.op === 'test') && !('value' in operation) && !('newValue' in operation)){
+                    throw new Error(caller + ' - "' + operation.op + '" requires a value');
+                }
+                if (operation.op === 'move' || operation.op === 'copy'){
+                    from = patchSegments(operation.from, caller);
+                    value = patchRead(root, from, caller);
+                }
+                switch (operation.op){
+                    case 'add':
+                    case 'replace':
+                        apply(operation.op, path, value);
+                        break;
+                    case 'remove':
+                        apply('remove', path);
+                        break;
+                    case 'move':
+                        if (from.length < path.length && from.every(function(seg, j){ return String(seg) === String(path[j]); })){
+                            throw new Error(caller + ' - cannot move "' + segmentsToPointer(from) + '" into itself');
+                        }
+                        apply('remove', from);
+                        apply('add', path, value);
+                        break;
+                    case 'copy':
+                        // Copy by merging into nothing, as `merge` does for a missing target
+                        apply('add', path, mergeValue(UNDEF, value, 'replace', [], [], []));
+                        break;
+                    case 'test':
+                        mismatch = [];
+                        diffValues(patchRead(root, path, caller), value, [], UNDEF, mismatch, []);
+                        if (mismatch.length){
+                            throw new Error(caller + ' - test failed at "' + segmentsToPointer(path) + '"');
+                        }
+                        break;
+                    default:
+                        throw new Error(caller + ' - unknown operation "' + operation.op + '"');
+                }
+            }
+        }
+        catch (err){
+            if (atomic){
+                caller = 'applyPatch - rollback';
+                undo.forEach(function(inverse){
+                    root = patchValue(root, inverse.op, pointerToSegments(inverse.path), inverse.value, caller).root;
+                });
+            }
+            throw err;
+        }
+        return options && options.inverse ? {result: root, inverse: undo} : root;
+    };
+
     /**
      * Locate a value within an object or array. This is the publicly exposed interface to the
      * private `scanForValue` function defined above.
@@ -1350,13 +4204,14 @@ var PathToolkit = function(options){
      * @param {Any} obj Source data object
      * @param {Any} val The value to search for within "obj"
      * @param {String} oneOrMany Optional; If missing or "one", `find` will only return the first valid path. If "onOrMany" is any other string, `find` will scan the full object looking for all valid paths to all cases where "val" appears.
+     * @param {String} format Optional; If "pointer", paths are returned as JSON Pointers instead of keypaths.
      * @return {Array} Array of keypaths to "val" or `undefined` if "val" is not found.
      */
-    _this.find = function(obj, val, oneOrMany){
+    _this.find = function(obj, val, oneOrMany, format){
         var foundPaths = [];
         // savePath is the callback which will accumulate any found paths in a local array
         var savePath = function(path){
-            foundPaths.push(path);
+            foundPaths.push(format === 'pointer' ? segmentsToPointer(path) : stringifyTokens(path, 'find'));
             if(!oneOrMany || oneOrMany === 'one'){
                 return false; // stop scanning for value
             }
@@ -1376,14 +4231,15 @@ var PathToolkit = function(options){
      * @param {Any} obj Source data object
      * @param {Any} val The value to search for within "obj"
      * @param {String} oneOrMany Optional; If missing or "one", `find` will only return the first valid path. If "onOrMany" is any other string, `find` will scan the full object looking for all valid paths to all cases where "val" appears.
+     * @param {String} format Optional; If "pointer", paths are returned as JSON Pointers instead of keypaths.
      * @return {Array} Array of keypaths to "val" or `undefined` if "val" is not found.
      */
-    _this.findSafe = function(obj, val, oneOrMany){
+    _this.findSafe = function(obj, val, oneOrMany, format){
         var foundPaths = [];
         // savePath is the callback which will accumulate any found paths in a local array
         // variable.
         var savePath = function(path){
-            foundPaths.push(path);
+            foundPaths.push(format === 'pointer' ? segmentsToPointer(path) : stringifyTokens(path, 'findSafe'));
             if(!oneOrMany || oneOrMany === 'one'){
                 return false; // stop scanning for value
             }
@@ -1392,10 +4248,10 @@ var PathToolkit = function(options){
         // isCircular is a callback that will test if this object also exists
         // in an ancestor path, indicating a circular reference.
         var isCircular = function(ref, path){
-            var tokens = _this.getTokens(path);
+            var i = path.length;
             // Walk up the ancestor chain checking for equality with current object
-            while(tokens.t.pop()){
-                if(_this.get(obj, tokens) === ref){
+            while(i--){
+                if(path.slice(0, i).reduce(function(parent, key){ return parent[key]; }, obj) === ref){
                     return true;
                 }
             }
@@ -1408,6 +4264,168 @@ var PathToolkit = function(options){
         return foundPaths.length > 0 ? foundPaths : undefined;
     };
 
+    /**
+     * List the concrete paths of the existing properties matched by a keypath. Wildcards,
+     * collections, slices and the recursive descent operator ("**") are expanded, so
+     * "config.**.timeout" lists the path of every "timeout" property below "config".
+     * Objects which contain themselves are only searched once, as in `findSafe`.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices and "**" only
+     * @param {String} format Optional; If "pointer", paths are returned as JSON Pointers instead of keypaths.
+     * @return {Array} Array of concrete keypaths, empty if nothing matched
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.getPaths = function(obj, path, format){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path);
+        return resolveLocations(obj, tk, 'getPaths').filter(function(loc){
+            return isObject(loc.parent) && loc.key in loc.parent;
+        }).map(function(loc){
+            return format === 'pointer' ? segmentsToPointer(loc.segs) : stringifyTokens(loc.segs, 'getPaths');
+        });
+    };
+
+    /**
+     * Resolve a keypath into the concrete locations it matches, with their values. Wildcards,
+     * collections, slices, filters, the "each" separator and the recursive descent operator ("**")
+     * are expanded, and placeholders and eval properties are replaced by the property they name, so
+     * every result addresses exactly one existing property and may be used to read or write it later.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Any} path Keypath or token set, made of properties, wildcards, collections, slices, filters, "**", placeholders and eval properties only
+     * @param {...Any} args Optional; Extra arguments for placeholders, as in `get`
+     * @return {Array} Array of {path, tokens, value} for each match: the concrete keypath in the current syntax, the equivalent token set and the value found there. Empty if nothing matched.
+     * @throws {PathSyntaxError} If the path is not valid
+     */
+    _this.expand = function(obj, path){
+        var tk = typeof path === $STRING ? _this.parse(path).t : (path.t || path),
+            args = Array.prototype.slice.call(arguments, 2);
+        return resolveLocations(obj, tk, 'expand', false, args).filter(function(loc){
+            return isObject(loc.parent) && loc.key in loc.parent;
+        }).map(function(loc){
+            var t = segmentTokens(loc.segs);
+            return {
+                path: stringifyTokens(t, 'expand'),
+                tokens: {t: t, simple: isSimpleTokens(t)},
+                value: loc.value
+            };
+        });
+    };
+
+    /**
+     * Flatten an object into a map from the keypath of every leaf value to that value. Plain
+     * objects and arrays are descended into; anything else, as well as an empty object or array,
+     * is a leaf. Keys are written in the current syntax, with quotes or escapes wherever a
+     * property name contains special characters or consists of digits, so `unflatten` can rebuild
+     * the original structure.
+     * @public
+     * @param {Any} obj Source data object
+     * @param {Object} options Optional; {arrays: 'index'|'keep', maxDepth: Number}. With "keep", arrays are leaves instead of being flattened by index. Values below "maxDepth" path segments are not flattened further.
+     * @return {Object} Map of keypaths to leaf values; empty if "obj" is not a plain object or array
+     * @throws {Error} If "obj" contains a circular reference or the "arrays" option is not known
+     */
+    _this.flatten = function(obj, options){
+        var arrays = options && options.arrays || 'index',
+            maxDepth = options && options.maxDepth > 0 ? options.maxDepth : Infinity,
+            map = {},
+            ancestors = [];
+
+        if (arrays !== 'index' && arrays !== 'keep'){
+            throw new Error('flatten - unknown "arrays" option "' + arrays + '", expected "index" or "keep"');
+        }
+        var visit = function(value, segs){
+            var isArray = Array.isArray(value),
+                keys;
+            if (segs.length > 0 && (segs.length >= maxDepth || !(isPlainObject(value) || (isArray && arrays === 'index')))){
+                map[stringifyTokens(segmentTokens(segs), 'flatten')] = value;
+                return;
+            }
+            if (ancestors.indexOf(value) !== -1){
+                throw new Error('flatten - circular reference at "' + stringifyTokens(segmentTokens(segs), 'flatten') + '"');
+            }
+            keys = Object.keys(value);
+            // An empty object or array is kept as a leaf, since it has no paths of its own
+            if (segs.length > 0 && keys.length === 0){
+                map[stringifyTokens(segmentTokens(segs), 'flatten')] = isArray ? [] : {};
+                return;
+            }
+            ancestors.push(value);
+            keys.forEach(function(key){
+                visit(value[key], segs.concat(isArray ? +key : guardKey(key, 'flatten', value)));
+            });
+            ancestors.pop();
+        };
+        if (isPlainObject(obj) || Array.isArray(obj)){ visit(obj, []); }
+        return map;
+    };
+
+    /**
+     * Rebuild an object from a map of keypaths to values, as produced by `flatten`. Missing
+     * objects and arrays along each keypath are created: an array where the next path segment
+     * is an unquoted index, otherwise a plain object, whatever the "force" options are.
+     * @public
+     * @param {Object} map Map of keypaths to values. The keypaths may only contain property names and indices.
+     * @return {Any} The rebuilt object; an array if the keypaths start with an index
+     * @throws {Error} If a keypath contains other operators or runs through a value set by a shorter keypath
+     */
+    _this.unflatten = function(map){
+        var root;
+        var newNode = function(token){
+            return typeof token === $STRING && isDigits(token) ? [] : {};
+        };
+
+        Object.keys(map).forEach(function(path){
+            var tk,
+                node,
+                key,
+                i;
+            quoteIndices = true;
+            try { tk = _this.parse(path).t; }
+            finally { quoteIndices = false; }
+            tk.forEach(function(token){
+                if (typeof token !== $STRING && token.q === UNDEF){
+                    throw new Error('unflatten - keypath "' + path + '" may only contain property names and indices');
+                }
+            });
+            root = root || newNode(tk[0]);
+            node = root;
+            for (i = 0; i < tk.length; i++){
+                key = guardKey(typeof tk[i] === $STRING ? tk[i] : tk[i].q, 'unflatten');
+                if (i === tk.length - 1){
+                    node[key] = map[path];
+                }
+                else {
+                    if (node[key] === UNDEF){ node[key] = newNode(tk[i + 1]); }
+                    else if (!isObject(node[key])){
+                        throw new Error('unflatten - keypath "' + path + '" runs through the value at "' + stringifyTokens(tk.slice(0, i + 1), 'unflatten') + '"');
+                    }
+                    node = node[key];
+                }
+            }
+        });
+        return root || {};
+    };
+
+    /**
+     * List the changes which turn "a" into "b", with the keypath of each change in the current
+     * syntax. Plain objects and arrays are compared in depth; any other values are compared with
+     * `===`, so two different Date objects are a "replace" even if they hold the same time.
+     * Arrays are compared by index, or by the identity of their elements if "options.key" is
+     * given, such as "id"; elements matched by identity which changed places are moved. The
+     * changes may be applied in the order listed.
+     * @public
+     * @param {Any} a Old value
+     * @param {Any} b New value
+     * @param {Object} options Optional; {key: keypath} to match array elements by the value at that keypath
+     * @return {Array} Array of changes {op, path, oldValue, newValue}: "op" is "add" (without "oldValue"), "remove" (without "newValue"), "replace" or "move" (with "from" instead of values). Empty if there is no difference.
+     * @throws {Error} If "a" or "b" contains a circular reference
+     */
+    _this.diff = function(a, b, options){
+        var changes = [];
+        diffValues(a, b, [], options && options.key, changes, []);
+        return changes;
+    };
+
     /**
      * For a given special character group (e.g., separators) and character type (e.g., "property"),
      * replace an existing separator with a new character. This creates a new special character for
@@ -1457,22 +4475,25 @@ var PathToolkit = function(options){
     _this.setOptions = function(options){
         if (options.prefixes){
             opt.prefixes = options.prefixes;
-            cache = {};
+            cache = Object.create(null);
         }
         if (options.separators){
             opt.separators = options.separators;
-            cache = {};
+            cache = Object.create(null);
         }
         if (options.containers){
             opt.containers = options.containers;
-            cache = {};
+            cache = Object.create(null);
         }
         if (typeof options.cache !== $UNDEFINED){
             opt.useCache = !!options.cache;
         }
         if (typeof options.simple !== $UNDEFINED){
-            var tempCache = opt.useCache; // preserve these two options after "setDefaultOptions"
+            var tempCache = opt.useCache; // preserve these options after "setDefaultOptions"
             var tempForce = opt.force;
+            var tempForceArrays = opt.forceArrays;
+            var tempSafe = opt.safe;
+            var tempProtect = opt.protect;
             var tempDefaultReturnVal = opt.defaultReturnVal;
 
             opt.simple = truthify(options.simple);
@@ -1483,12 +4504,26 @@ var PathToolkit = function(options){
                 setDefaultOptions();
                 opt.useCache = tempCache;
                 opt.force = tempForce;
+                opt.forceArrays = tempForceArrays;
+                opt.safe = tempSafe;
+                opt.protect = tempProtect;
             }
-            cache = {};
+            cache = Object.create(null);
         }
         if (typeof options.force !== $UNDEFINED){
             opt.force = truthify(options.force);
         }
+        if (typeof options.forceArrays !== $UNDEFINED){
+            opt.forceArrays = truthify(options.forceArrays);
+            cache = Object.create(null);
+        }
+        if (typeof options.safe !== $UNDEFINED){
+            opt.safe = truthify(options.safe);
+            cache = Object.create(null);
+        }
+        if (typeof options.protect !== $UNDEFINED){
+            opt.protect = truthify(options.protect);
+        }
         // The default return value may be set to undefined, which
         // makes testing for this option more tricky.
         if (Object.keys(options).includes('defaultReturnVal')){
@@ -1543,6 +4578,99 @@ var PathToolkit = function(options){
         opt.force = false;
     };
 
+    /**
+     * Sets "forceArrays" option, depending on input value. While "force" creates a missing
+     * intermediate value, it normally creates an object. With "forceArrays" enabled, it creates
+     * an array instead when the next path segment is an array index: an unquoted integer like
+     * `list.0` or `list[0]`. Quoted keys like `list["0"]` still create objects. Clears the cache,
+     * since quoted digits are only kept apart from indices while this option is on.
+     * @public
+     * @param {Any} val Value which will be interpreted as a boolean using `truthify`. "true" enables "forceArrays"; "false" disables.
+     */
+    _this.setForceArrays = function(val){
+        opt.forceArrays = truthify(val);
+        cache = Object.create(null);
+    };
+    /**
+     * Enables "forceArrays" option.
+     * @public
+     * @see setForceArrays
+     */
+    _this.setForceArraysOn = function(){
+        opt.forceArrays = true;
+        cache = Object.create(null);
+    };
+    /**
+     * Disables "forceArrays" option.
+     * @public
+     * @see setForceArrays
+     */
+    _this.setForceArraysOff = function(){
+        opt.forceArrays = false;
+        cache = Object.create(null);
+    };
+
+    /**
+     * Sets "safe" option, depending on input value. In "safe" mode, string paths may not use
+     * the call container, context placeholders or eval properties, so a path from an untrusted
+     * source cannot run functions or reach objects outside the data. All other syntax remains
+     * available. Paths using those features are rejected by the tokenizer: `get`, `set` and
+     * related functions throw a `PathSyntaxError`, `validate` reports the problem.
+     * Clears the cache so paths accepted before are checked again.
+     * @public
+     * @param {Any} val Value which will be interpreted as a boolean using `truthify`. "true" enables "safe"; "false" disables.
+     */
+    _this.setSafe = function(val){
+        opt.safe = truthify(val);
+        cache = Object.create(null);
+    };
+    /**
+     * Enables "safe" option.
+     * @public
+     * @see setSafe
+     */
+    _this.setSafeOn = function(){
+        opt.safe = true;
+        cache = Object.create(null);
+    };
+    /**
+     * Disables "safe" option.
+     * @public
+     * @see setSafe
+     */
+    _this.setSafeOff = function(){
+        opt.safe = false;
+        cache = Object.create(null);
+    };
+
+    /**
+     * Sets "protect" option, depending on input value. While enabled (the default), paths may
+     * not read or write through the "__proto__", "prototype" and "constructor" properties, whether
+     * they are named in the path or matched by wildcards, placeholders or eval properties.
+     * Functions refuse such paths by throwing an error instead of returning `undefined`.
+     * @public
+     * @param {Any} val Value which will be interpreted as a boolean using `truthify`. "true" enables "protect"; "false" disables.
+     */
+    _this.setProtect = function(val){
+        opt.protect = truthify(val);
+    };
+    /**
+     * Enables "protect" option.
+     * @public
+     * @see setProtect
+     */
+    _this.setProtectOn = function(){
+        opt.protect = true;
+    };
+    /**
+     * Disables "protect" option.
+     * @public
+     * @see setProtect
+     */
+    _this.setProtectOff = function(){
+        opt.protect = false;
+    };
+
     /**
      * Shortcut function to alter PathToolkit syntax to a "simple" mode that only uses
      * separators and no other operators. "Simple" mode is enabled or disabled according
@@ -1553,8 +4681,11 @@ var PathToolkit = function(options){
      * @param {String} sep Separator string to use in place of the default "."
      */
     _this.setSimple = function(val, sep){
-        var tempCache = opt.useCache; // preserve these two options after "setDefaultOptions"
+        var tempCache = opt.useCache; // preserve these options after "setDefaultOptions"
         var tempForce = opt.force;
+        var tempForceArrays = opt.forceArrays;
+        var tempSafe = opt.safe;
+        var tempProtect = opt.protect;
         opt.simple = truthify(val);
         if (opt.simple){
             setSimpleOptions(sep);
@@ -1565,8 +4696,11 @@ var PathToolkit = function(options){
             updateRegEx();
             opt.useCache = tempCache;
             opt.force = tempForce;
+            opt.forceArrays = tempForceArrays;
+            opt.safe = tempSafe;
+            opt.protect = tempProtect;
         }
-        cache = {};
+        cache = Object.create(null);
     };
 
     /**
@@ -1579,7 +4713,7 @@ var PathToolkit = function(options){
         opt.simple = true;
         setSimpleOptions(sep);
         updateRegEx();
-        cache = {};
+        cache = Object.create(null);
     };
 
     /**
@@ -1589,14 +4723,20 @@ var PathToolkit = function(options){
      * @see setDefaultOptions
      */
     _this.setSimpleOff = function(){
-        var tempCache = opt.useCache; // preserve these two options after "setDefaultOptions"
+        var tempCache = opt.useCache; // preserve these options after "setDefaultOptions"
         var tempForce = opt.force;
+        var tempForceArrays = opt.forceArrays;
+        var tempSafe = opt.safe;
+        var tempProtect = opt.protect;
         opt.simple = false;
         setDefaultOptions();
         updateRegEx();
         opt.useCache = tempCache;
         opt.force = tempForce;
-        cache = {};
+        opt.forceArrays = tempForceArrays;
+        opt.safe = tempSafe;
+        opt.protect = tempProtect;
+        cache = Object.create(null);
     };
 
     /**
@@ -1618,7 +4758,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.separators[val] || opt.separators[val].exec === $PROPERTY) && !(opt.prefixes[val] || opt.containers[val])){
                 updateOptionChar(opt.separators, $PROPERTY, val);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setSeparatorProperty - value already in use');
@@ -1639,7 +4779,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.separators[val] || opt.separators[val].exec === $COLLECTION) && !(opt.prefixes[val] || opt.containers[val])){
                 updateOptionChar(opt.separators, $COLLECTION, val);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setSeparatorCollection - value already in use');
@@ -1660,7 +4800,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.prefixes[val] || opt.prefixes[val].exec === $PARENT) && !(opt.separators[val] || opt.containers[val])){
                 updateOptionChar(opt.prefixes, $PARENT, val);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setPrefixParent - value already in use');
@@ -1681,7 +4821,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.prefixes[val] || opt.prefixes[val].exec === $ROOT) && !(opt.separators[val] || opt.containers[val])){
                 updateOptionChar(opt.prefixes, $ROOT, val);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setPrefixRoot - value already in use');
@@ -1702,7 +4842,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.prefixes[val] || opt.prefixes[val].exec === $PLACEHOLDER) && !(opt.separators[val] || opt.containers[val])){
                 updateOptionChar(opt.prefixes, $PLACEHOLDER, val);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setPrefixPlaceholder - value already in use');
@@ -1723,7 +4863,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.prefixes[val] || opt.prefixes[val].exec === $CONTEXT) && !(opt.separators[val] || opt.containers[val])){
                 updateOptionChar(opt.prefixes, $CONTEXT, val);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setPrefixContext - value already in use');
@@ -1745,7 +4885,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.containers[val] || opt.containers[val].exec === $PROPERTY) && !(opt.separators[val] || opt.prefixes[val])){
                 updateOptionChar(opt.containers, $PROPERTY, val, closer);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setContainerProperty - value already in use');
@@ -1767,7 +4907,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.containers[val] || opt.containers[val].exec === $SINGLEQUOTE) && !(opt.separators[val] || opt.prefixes[val])){
                 updateOptionChar(opt.containers, $SINGLEQUOTE, val, closer);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setContainerSinglequote - value already in use');
@@ -1789,7 +4929,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.containers[val] || opt.containers[val].exec === $DOUBLEQUOTE) && !(opt.separators[val] || opt.prefixes[val])){
                 updateOptionChar(opt.containers, $DOUBLEQUOTE, val, closer);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setContainerDoublequote - value already in use');
@@ -1811,7 +4951,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.containers[val] || opt.containers[val].exec === $CALL) && !(opt.separators[val] || opt.prefixes[val])){
                 updateOptionChar(opt.containers, $CALL, val, closer);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setContainerCall - value already in use');
@@ -1833,7 +4973,7 @@ var PathToolkit = function(options){
             if (val !== $WILDCARD && (!opt.containers[val] || opt.containers[val].exec === $EVALPROPERTY) && !(opt.separators[val] || opt.prefixes[val])){
                 updateOptionChar(opt.containers, $EVALPROPERTY, val, closer);
                 updateRegEx();
-                cache = {};
+                cache = Object.create(null);
             }
             else {
                 throw new Error('setContainerEvalProperty - value already in use');
@@ -1845,13 +4985,13 @@ var PathToolkit = function(options){
     };
 
     /**
-     * Reset all PathToolkit options to their default values.
+     * Reset all PathToolkit options to their default values. This turns "safe" mode off.
      * @public
      */
     _this.resetOptions = function(){
         setDefaultOptions();
         updateRegEx();
-        cache = {};
+        cache = Object.create(null);
     };
 
     // Initialize option set
@@ -1863,4 +5003,7 @@ var PathToolkit = function(options){
 
 };
 
+// Expose the error type so callers can test for it with `instanceof`
+PathToolkit.PathSyntaxError = PathSyntaxError;
+
 export default PathToolkit;
@@ -260,6 +260,69 @@ describe( 'PathToolkit', function(){
             expect(ptk.get(data, str, key, key)).to.equal(data.accounts[1].checking.fnArg(key, key));
         });
 
+        it( 'should call functions with literal args', function(){
+            expect(ptk.get(data, 'accounts.0.ary.slice(1, 3)')).to.deep.equal([8, 7]);
+            expect(ptk.get(data, 'accounts.1.test1.padStart(8, \'-\')')).to.equal('---propA');
+            expect(ptk.get(data, 'accounts.1.test1.indexOf("A")')).to.equal(4);
+            expect(ptk.get(data, 'accounts.1.checking.fnArg(1, -2.5, true, false, null, "a,b")')).to.equal('1,-2.5,true,false,,a,b');
+            expect(ptk.get(data, 'accounts.1.checking.fnArg(%1, 2)', 'x')).to.equal('x,2');
+            expect(ptk.get(data, 'accounts.1.checking.fnArg(0)')).to.equal('0');
+            expect(ptk.getTokens('fn(0, \'0\')').t[1].t[0].tt).to.deep.equal([{v: 0}, {v: '0'}]);
+        });
+
+        it( 'should pass undefined for an argument which does not resolve', function(){
+            var obj = { f: function(){ return Array.prototype.slice.call(arguments); } };
+            expect(ptk.get(obj, 'f(2, x)')).to.deep.equal([2, undefined]);
+            expect(ptk.get(obj, 'f(x, "y", %1)', 'z')).to.deep.equal([undefined, 'y', 'z']);
+            expect(ptk.get(obj, 'f(%1, %2)', 'a')).to.deep.equal(['a', undefined]);
+        });
+
+        it( 'should allow parentheses in quoted arguments', function(){
+            var obj = { f: function(){ return Array.prototype.slice.call(arguments); } };
+            expect(ptk.get(data, 'accounts.1.test1.padStart(8, ")")')).to.equal(')))propA');
+            expect(ptk.get(obj, 'f("(")')).to.deep.equal(['(']);
+            expect(ptk.get(obj, 'f(\')\', 1, "(x)")')).to.deep.equal([')', 1, '(x)']);
+            expect(ptk.validate('f(")')).to.be.an.instanceof(PathToolkit.PathSyntaxError);
+        });
+
+        it( 'should write path arguments so they are not read back as strings', function(){
+            ['f(x\\.y)', 'f(a.b,x\\.y)', 'f(1,x\\.y)', 'f(\'x.y\')', 'f(a{\'b.c\'})'].forEach(function(path){
+                var tokens = ptk.getTokens(path);
+                expect(ptk.getTokens(ptk.stringify(tokens)).t).to.deep.equal(tokens.t);
+            });
+            expect(ptk.stringify(ptk.getTokens('f(x\\.y)'))).to.equal("f(['x.y'])");
+            expect(ptk.getTokens(ptk.stringify(ptk.getTokens('f(1, x\\.y)'))).t[1].t[0].tt).to.deep.equal([{v: 1}, 'x.y']);
+        });
+
+        it('should resolve named placeholders from a bindings object', function(){
+            var bindings = { idx: 1, key: 'savX', fn: data.accounts[1].checking.fnArg, other: other };
+            expect(ptk.get(data, 'accounts.%{idx}.%{key}', bindings)).to.equal('X');
+            expect(ptk.get(data, 'accounts.%{idx}.checking.fnArg(%{key}, 2)', bindings)).to.equal('savX,2');
+            expect(ptk.get(data, '@{fn}(@{key})', bindings)).to.equal('savX');
+            expect(ptk.get(data, 'accounts.0.@{other}.x', bindings)).to.equal('propA');
+            expect(ptk.get(data, 'people[?id == ~accounts.%{idx}.indices.2]<name', bindings)).to.deep.equal(['Jane']);
+            expect(ptk.getWithDefault(data, 'accounts.%{idx}.nope', 'dflt', bindings)).to.equal('dflt');
+        });
+
+        it('should throw a descriptive error for a null binding used as a property name', function(){
+            var obj = { u: { 'null': 'x', a: 1 } };
+            expect(function(){ ptk.get(obj, 'u.%{id}', {id: null}); }).to.throw(Error, 'get - binding "id" is null, which does not name a property');
+            expect(function(){ ptk.set(obj, 'u.%{id}', 2, {id: null}); }).to.throw(Error, 'set - binding "id" is null');
+            expect(function(){ ptk.has(obj, 'u.%{id}', {id: null}); }).to.throw(Error, 'has - binding "id" is null');
+            expect(ptk.get(obj, 'u.%{id}', {id: 'a'})).to.equal(1);
+            expect(ptk.get(obj, 'u.%1', null)).to.be.undefined;
+            expect(ptk.has(obj, 'u.%1', null)).to.be.false;
+        });
+
+        it('should throw for missing bindings', function(){
+            expect(function(){ ptk.get(data, 'accounts.%{idx}.savX', {}); }).to.throw(Error, 'get - missing binding "idx"');
+            expect(function(){ ptk.get(data, 'accounts.%{idx}.savX'); }).to.throw(Error, 'get - missing binding "idx"');
+            expect(function(){ ptk.getWithDefault(data, '@{fn}()', 'dflt', {fn: undefined}); }).to.throw(Error, 'get - missing binding "fn"');
+            expect(function(){ ptk.set(data, 'accounts.1.%{key}', 'Y', {}); }).to.throw(Error, 'set - missing binding "key"');
+            expect(function(){ ptk.get(data, 'people.%{toString}.name', {}); }).to.throw(Error, 'get - missing binding "toString"');
+            expect(function(){ ptk.get(data, '@{constructor}', {}); }).to.throw(Error, 'get - missing binding "constructor"');
+        });
+
         it('should not cache placeholder values, only placeholders', function () {
             var str1 = 'accounts[0]ary.%1';
             expect(ptk.get(data, str1, 0)).to.equal(data.accounts[0].ary[0]);
@@ -467,6 +530,118 @@ describe( 'PathToolkit', function(){
             expect(ptk.get(data, str)[1].join(',')).to.equal(ary[1].join(','));
             expect(ptk.get(data, str)[2].join(',')).to.equal(ary[2].join(','));
         });
+
+        it('should count negative indices back from the end of an array', function(){
+            expect(ptk.get(data, 'accounts.0.ary.-1')).to.equal(6);
+            expect(ptk.get(data, {t: ['accounts', '0', 'ary', '-2'], simple: true})).to.equal(7);
+            expect(ptk.get(data, 'accounts.0.ary[-4]')).to.equal(9);
+            expect(ptk.get(data, 'people.-1.name')).to.equal('Mary');
+            expect(ptk.get(data, 'accounts.0.ary.0,-1')).to.deep.equal([9,6]);
+            expect(ptk.get(data, 'people<-1')).to.be.undefined;
+            expect(ptk.get(data, 'accounts.1,3<propAry.-1')).to.be.undefined;
+            expect(ptk.get(data, 'accounts.-1.propAry.-1')).to.equal('savBb');
+        });
+
+        it('should return undefined for negative indices past the start of an array', function(){
+            expect(ptk.get(data, 'accounts.0.ary.-5')).to.be.undefined;
+            expect(ptk.get(data, 'accounts.0.ary[-5]')).to.be.undefined;
+        });
+
+        it('should return sub-arrays for slices', function(){
+            var ary = data.accounts[0].ary;
+            expect(ptk.get(data, 'accounts.0.ary[1:3]')).to.deep.equal([8, 7]);
+            expect(ptk.get(data, 'accounts.0.ary[:2]')).to.deep.equal([9, 8]);
+            expect(ptk.get(data, 'accounts.0.ary[-3:]')).to.deep.equal([8, 7, 6]);
+            expect(ptk.get(data, 'accounts.0.ary[::2]')).to.deep.equal([9, 7]);
+            expect(ptk.get(data, 'accounts.0.ary[::-1]')).to.deep.equal([6, 7, 8, 9]);
+            expect(ptk.get(data, 'accounts.0.ary[1:-1]')).to.deep.equal([8, 7]);
+            expect(ptk.get(data, 'accounts.0.ary[2:10]')).to.deep.equal([7, 6]);
+            expect(ptk.get(data, 'accounts.0.ary[3:1]')).to.deep.equal([]);
+            expect(ptk.get(data, 'accounts.0.ary[:]')).to.deep.equal(ary);
+            expect(ptk.get(data, 'accounts.0.ary[:]')).to.not.equal(ary);
+        });
+
+        it('should continue evaluating the path after a slice', function(){
+            expect(ptk.get(data, 'people[0:2]<name')).to.deep.equal(['John', 'Jane']);
+            expect(ptk.get(data, 'people[1:].0.name')).to.equal('Jane');
+            expect(ptk.get(data, 'accounts.1.indices,indices<[1:3]')).to.deep.equal([[1, 2], [1, 2]]);
+        });
+
+        it('should return undefined for slices of non-arrays and reject a zero step', function(){
+            expect(ptk.get(data, 'accounts.1.checking[0:2]')).to.be.undefined;
+            expect(ptk.get(data, 'accounts.0.ary[::0]')).to.be.undefined;
+            expect(ptk.validate('accounts.0.ary[::0]').offset).to.equal(15);
+        });
+
+        it('should find properties at any depth with the recursive descent operator', function(){
+            expect(ptk.get(data, 'accounts.**.common')).to.deep.equal(['A', 'B', 'C']);
+            expect(ptk.get(data, '**.balance')).to.deep.equal([123]);
+            expect(ptk.get(data, 'accounts.**.sav?')).to.deep.equal([]);
+            expect(ptk.get(data, 'accounts.1.**.savB*')).to.deep.equal(['ba', 'bb', 'bc']);
+            expect(ptk.get(data, 'accounts.**.id,balance')).to.deep.equal(['12345', 123]);
+            expect(ptk.get(data, 'accounts.**.common.1')).to.equal('B');
+            expect(ptk.get(data, 'accounts.**.common<toLowerCase()')).to.deep.equal(['a', 'b', 'c']);
+            expect(ptk.get(data, 'people<**.name')).to.deep.equal([['John'], ['Jane'], ['Mary']]);
+            expect(ptk.get(data, '[**].x')).to.be.undefined;
+        });
+
+        it('should visit objects which contain themselves only once with the recursive descent operator', function(){
+            data.accounts[1].checking.self = data.accounts[1].checking;
+            data.accounts[1].checking.up = data.accounts;
+            expect(ptk.get(data, 'accounts.**.id')).to.deep.equal(['12345']);
+        });
+
+        it('should select array elements with filter expressions', function(){
+            expect(ptk.get(data, 'people[?id > 1]<name')).to.deep.equal(['Jane', 'Mary']);
+            expect(ptk.get(data, 'people[?name == \'Jane\']')).to.deep.equal([data.people[1]]);
+            expect(ptk.get(data, 'people[?name =~ /^j/i]<id')).to.deep.equal([1, 2]);
+            expect(ptk.get(data, 'accounts[?common]<common')).to.deep.equal(['A', 'B', 'C']);
+            expect(ptk.get(data, 'accounts[?ary.length]<common')).to.deep.equal(['A']);
+            expect(ptk.get(data, 'people[?id >= 2 && !(name == \'Mary\') || id == 1]<id')).to.deep.equal([1, 2]);
+            expect(ptk.get(data, 'people[?id != 2].1.name')).to.equal('Mary');
+            expect(ptk.get(data, 'people[?id > 5]')).to.deep.equal([]);
+            expect(ptk.get(data, 'accounts.1.checking[?id]')).to.be.undefined;
+        });
+
+        it('should support placeholders, literals and relative paths in filter expressions', function(){
+            expect(ptk.get(data, 'people[?id > %1]<name', 2)).to.deep.equal(['Mary']);
+            expect(ptk.get(data, 'people[?name == %1]<id', 'John')).to.deep.equal([1]);
+            expect(ptk.get(data, 'accounts[?common == ~accounts.0.common]<common')).to.deep.equal(['A']);
+            expect(ptk.get(data, 'people[?^length == 3 && id < 2]<name')).to.deep.equal(['John']);
+            expect(ptk.get(data, 'people[?name.toLowerCase() == "mary"]<id')).to.deep.equal([3]);
+            expect(ptk.get(data, 'accounts.0.ary[?1 == 1]')).to.deep.equal([9,8,7,6]);
+            expect(ptk.get(data, 'people[?undef == null || id == -1.5e1 || false]')).to.deep.equal([]);
+        });
+
+        it('should read property names after a filter from every selected element', function(){
+            data.people[0].age = 25;
+            data.people[1].age = 35;
+            data.people[2].age = 45;
+            expect(ptk.get(data, 'people[?age > 30].name')).to.deep.equal(['Jane', 'Mary']);
+            expect(ptk.getTokens('people[?age > 30].name').t).to.deep.equal(ptk.getTokens('people[?age > 30]<name').t);
+            expect(ptk.get(data, 'people[?age > 30].name.length')).to.deep.equal([4, 4]);
+            expect(ptk.get(data, 'people[?age > 30].1.name')).to.equal('Mary');
+            expect(ptk.getPaths(data, 'people[?age > 30].name')).to.deep.equal(['people.1.name', 'people.2.name']);
+            var obj = { a: [ {s: 'o'}, {s: 'p'}, {s: 'o'} ] };
+            expect(ptk.set(obj, "a[?s=='o'].s", 'v')).to.be.true;
+            expect(obj.a).to.deep.equal([ {s: 'v'}, {s: 'p'}, {s: 'v'} ]);
+        });
+
+        it('should allow container characters in quoted strings within a filter', function(){
+            var obj = { x: [ {n: 'a]b'}, {n: 'c'} ] };
+            expect(ptk.get(obj, "x[?n == 'a]b']")).to.deep.equal([{n: 'a]b'}]);
+            expect(ptk.get(obj, 'x[?n == "a[b" || n == \'c\']<n')).to.deep.equal(['c']);
+        });
+
+        it('should apply filters to each array with the "each" separator', function(){
+            data.groups = [ [{x: 1}, {x: 2}], [{x: 3}] ];
+            expect(ptk.get(data, 'groups<[?x > 1]')).to.deep.equal([[{x: 2}], [{x: 3}]]);
+        });
+
+        it('should treat negative numbers as plain property names on non-arrays', function(){
+            data.neg = { '-1': 'minus one' };
+            expect(ptk.get(data, 'neg.-1')).to.equal('minus one');
+        });
     });
 
     describe( 'getWithDefault', function(){
@@ -667,6 +842,338 @@ describe( 'PathToolkit', function(){
             expect(result).to.be.true;
             expect(ary.join(',')).to.equal('NEW,NEW,NEW');
         });
+
+        it('should set values at negative array indices', function(){
+            expect(ptk.set(data, 'accounts.0.ary.-1', 60)).to.be.true;
+            expect(ptk.set(data, 'accounts.0.ary[-2]', 70)).to.be.true;
+            expect(ptk.set(data, 'people.-1.name', 'Maria')).to.be.true;
+            expect(ptk.set(data, 'accounts.1.indices.0,-1', 'X')).to.be.true;
+            expect(data.accounts[0].ary).to.deep.equal([9,8,70,60]);
+            expect(data.people[2].name).to.equal('Maria');
+            expect(data.accounts[1].indices).to.deep.equal(['X',1,2,'X']);
+            expect(ptk.set(data, 'accounts.0.ary.-5', 0)).to.be.false;
+            expect(data.accounts[0].ary.length).to.equal(4);
+        });
+
+        it('should set every property found with the recursive descent operator', function(){
+            expect(ptk.set(data, 'accounts.**.common', 'Z')).to.be.true;
+            expect(ptk.get(data, 'accounts.0,1,3<common')).to.deep.equal(['Z', 'Z', 'Z']);
+            expect(data.accounts[2].common).to.be.undefined;
+        });
+
+        it('should set values through filter expressions', function(){
+            expect(ptk.set(data, 'people[?id > 1]<name', 'X')).to.be.true;
+            expect(ptk.get(data, 'people.*<name')).to.deep.equal(['John', 'X', 'X']);
+            expect(ptk.set(data, 'people[?name == \'John\']', null)).to.be.true;
+            expect(data.people[0]).to.be.null;
+            expect(data.people.length).to.equal(3);
+        });
+
+        it('should create the final property in every element selected by a filter', function(){
+            expect(ptk.set(data, 'people[?id > 1].flag', true)).to.be.true;
+            expect(data.people.map(function(person){ return person.flag; })).to.deep.equal([undefined, true, true]);
+            expect(ptk.set(data, 'people<rank', 1)).to.be.true;
+            expect(ptk.get(data, 'people.*<rank')).to.deep.equal([1, 1, 1]);
+            expect(ptk.set(data, 'people[?id > 1].missing.flag', true)).to.be.false;
+        });
+
+        it('should set every index selected by a slice', function(){
+            expect(ptk.set(data, 'accounts.0.ary[::2]', 0)).to.be.true;
+            expect(data.accounts[0].ary).to.deep.equal([0, 8, 0, 6]);
+            expect(ptk.set(data, 'people[-2:]<name', 'Sam')).to.be.true;
+            expect(ptk.get(data, 'people.*<name')).to.deep.equal(['John', 'Sam', 'Sam']);
+        });
+    });
+
+    describe( 'has', function(){
+        it( 'should tell a stored undefined from a missing property', function(){
+            expect(ptk.get(data, 'undef')).to.be.undefined;
+            expect(ptk.has(data, 'undef')).to.be.true;
+            expect(ptk.has(data, 'undefAsdf')).to.be.false;
+            expect(ptk.has(data, 'accounts.1.checking.id')).to.be.true;
+            expect(ptk.has(data, 'accounts.1.nope.id')).to.be.false;
+            expect(ptk.has(data, {t:['accounts', '-1', 'common'], simple: true})).to.be.true;
+            expect(ptk.has(data, 'accounts.-5')).to.be.false;
+            expect(ptk.has(undefined, 'undef')).to.be.false;
+        });
+
+        it( 'should support the full path syntax', function(){
+            expect(ptk.has(data, 'accounts[1]"checking".fn')).to.be.true;
+            expect(ptk.has(data, 'accounts.%1.savX', '1')).to.be.true;
+            expect(ptk.has(data, 'accounts.%{idx}.savQ', {idx: 1})).to.be.false;
+            expect(ptk.has(data, '{accounts.1.test1}')).to.be.true;
+            expect(ptk.has(data, '{accounts.1.savX}')).to.be.false;
+            expect(ptk.has(data, 'accounts.1.checking.id.^^savY')).to.be.true;
+            expect(ptk.has(data, 'accounts.0.~undef')).to.be.true;
+            expect(ptk.has(data, 'accounts.1.checking.fn()')).to.be.true;
+            expect(ptk.has(data, 'accounts.3.propAry.-1')).to.be.true;
+        });
+
+        it( 'should require all or any selected properties to exist', function(){
+            expect(ptk.has(data, 'accounts.1.savX,savY')).to.be.true;
+            expect(ptk.has(data, 'accounts.1.savX,savQ')).to.be.false;
+            expect(ptk.hasAny(data, 'accounts.1.savX,savQ')).to.be.true;
+            expect(ptk.hasAny(data, 'accounts.1.savQ,savR')).to.be.false;
+            expect(ptk.has(data, 'accounts.1.sav*')).to.be.true;
+            expect(ptk.has(data, 'accounts.1.zzz*')).to.be.false;
+            expect(ptk.has(data, 'accounts<common')).to.be.false;
+            expect(ptk.hasAny(data, 'accounts<common')).to.be.true;
+            expect(ptk.has(data, 'people[?id > 1]')).to.be.true;
+            expect(ptk.has(data, 'people[?id > 5]')).to.be.false;
+            expect(ptk.has(data, 'people[1:]')).to.be.true;
+            expect(ptk.has(data, '**.propAry')).to.be.true;
+        });
+    });
+
+    describe( 'update', function(){
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it( 'should store the result of the function at the keypath', function(){
+            expect(ptk.update(data, 'accounts.1.checking.balance', function(balance){ return balance + 1; })).to.be.true;
+            expect(data.accounts[1].checking.balance).to.equal(124);
+            expect(ptk.update(data, 'accounts.1.nope.balance', function(){ return 1; })).to.be.false;
+            expect(data.accounts[1]).to.not.have.property('nope');
+        });
+
+        it( 'should call the function for every wildcard, collection and each match', function(){
+            var calls = [];
+            expect(ptk.update(data, 'people.*<name', function(name, path, parent){
+                calls.push(path);
+                return name.toUpperCase() + parent.id;
+            })).to.be.true;
+            expect(ptk.get(data, 'people<name')).to.deep.equal(['JOHN1', 'JANE2', 'MARY3']);
+            expect(calls).to.deep.equal(['people.0.name', 'people.1.name', 'people.2.name']);
+            expect(ptk.update(data, 'accounts.1.savX,savY', function(val){ return val + val; })).to.be.true;
+            expect(ptk.get(data, 'accounts.1.savX,savY')).to.deep.equal(['XX', 'YY']);
+            expect(ptk.update(data, 'people[?id > 5]<name', function(){ return 'x'; })).to.be.false;
+        });
+
+        it( 'should create missing intermediate properties with force', function(){
+            ptk.setForceOn();
+            expect(ptk.update(data, 'accounts.1.counts.visits', function(count, path, parent){
+                expect(parent).to.be.undefined;
+                return (count || 0) + 1;
+            })).to.be.true;
+            expect(data.accounts[1].counts).to.deep.equal({visits: 1});
+        });
+
+        it( 'should pass the old value and parent of empty property names', function(){
+            var obj = {'': {c: 1}};
+            expect(ptk.update(obj, '[""].c', function(val, path, parent){
+                expect(path).to.equal("''.c");
+                expect(parent).to.equal(obj['']);
+                return (val || 0) + 10;
+            })).to.be.true;
+            expect(obj['']).to.deep.equal({c: 11});
+            obj = {x: {a: 1}};
+            expect(ptk.update(obj, 'x.a,a', function(val){ return val + 1; })).to.be.true;
+            expect(obj.x.a).to.equal(3);
+        });
+
+        it( 'should fill in placeholders and eval properties as set does', function(){
+            var obj = {key: 'b', a: {b: 1, c: 2}};
+            var add = function(n){ return n + 10; };
+            expect(ptk.update(obj, 'a.%1', add, 'c')).to.be.true;
+            expect(ptk.update(obj, 'a.%{name}', add, {name: 'b'})).to.be.true;
+            expect(ptk.update(obj, 'a{~key}', add)).to.be.true;
+            expect(obj.a).to.deep.equal({b: 21, c: 12});
+            expect(ptk.update(obj, 'a.%1', add)).to.be.false;
+            ptk.setForceOn();
+            expect(ptk.update(obj, 'a.%1.d', function(){ return 3; }, 'x')).to.be.true;
+            expect(obj.a.x).to.deep.equal({d: 3});
+        });
+    });
+
+    describe( 'push, insert, removeAt and splice', function(){
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it( 'should change the array at the keypath', function(){
+            expect(ptk.push(data, 'accounts.1.indices', 4, 5)).to.deep.equal([6]);
+            expect(ptk.insert(data, 'accounts.1.indices', 0, -1)).to.deep.equal([7]);
+            expect(ptk.insert(data, 'accounts.1.indices', -1, 'x')).to.deep.equal([8]);
+            expect(data.accounts[1].indices).to.deep.equal([-1, 0, 1, 2, 3, 4, 'x', 5]);
+            expect(ptk.removeAt(data, 'accounts.1.indices', -2)).to.deep.equal(['x']);
+            expect(ptk.removeAt(data, 'accounts.1.indices', 0)).to.deep.equal([-1]);
+            expect(ptk.splice(data, 'accounts.1.indices', 1, 3, 'a', 'b')).to.deep.equal([[1, 2, 3]]);
+            expect(data.accounts[1].indices).to.deep.equal([0, 'a', 'b', 4, 5]);
+            expect(ptk.splice(data, 'accounts.1.indices', 3)).to.deep.equal([[4, 5]]);
+            expect(data.accounts[1].indices).to.deep.equal([0, 'a', 'b']);
+        });
+
+        it( 'should change every array matched by the keypath', function(){
+            expect(ptk.push(data, 'accounts.0,3<ary,propAry', 'new')).to.deep.equal([5, 3]);
+            expect(data.accounts[0].ary).to.deep.equal([9, 8, 7, 6, 'new']);
+            expect(data.accounts[3].propAry).to.deep.equal(['savBa', 'savBb', 'new']);
+            expect(ptk.removeAt(data, 'accounts.0,3<ary,propAry', 0)).to.deep.equal([9, 'savBa']);
+        });
+
+        it( 'should create a missing array only with force', function(){
+            expect(ptk.push(data, 'accounts.1.tags', 'a')).to.deep.equal([]);
+            expect(data.accounts[1]).to.not.have.property('tags');
+            ptk.setForceOn();
+            expect(ptk.push(data, 'accounts.1.meta.tags', 'a')).to.deep.equal([1]);
+            expect(data.accounts[1].meta).to.deep.equal({tags: ['a']});
+            expect(ptk.push(data, 'accounts.1.meta.x,y', 'b')).to.deep.equal([1, 1]);
+            expect(data.accounts[1].meta).to.deep.equal({tags: ['a'], x: ['b'], y: ['b']});
+            expect(data.accounts[1].meta.x).to.not.equal(data.accounts[1].meta.y);
+        });
+
+        it( 'should not create arrays before a value which is not an array is found', function(){
+            var obj = {a: {b: 1}};
+            ptk.setForceOn();
+            expect(function(){ ptk.push(obj, 'a.c,b', 1); }).to.throw(Error, 'push - value at "a.b" is not an array');
+            expect(obj.a).to.deep.equal({b: 1});
+        });
+
+        it( 'should refuse values which are not arrays', function(){
+            expect(function(){ ptk.push(data, 'accounts.1.checking', 1); }).to.throw(Error, 'push - value at "accounts.1.checking" is not an array');
+        });
+    });
+
+    describe( 'unset', function(){
+        it( 'should delete the final property and report it', function(){
+            expect(ptk.unset(data, 'accounts.1.checking.id')).to.deep.equal(['accounts.1.checking.id']);
+            expect(data.accounts[1].checking).to.not.have.property('id');
+            expect(ptk.unset(data, 'undef')).to.deep.equal(['undef']);
+            expect(data).to.not.have.property('undef');
+            expect(ptk.unset(data, 'accounts.1.nope')).to.deep.equal([]);
+            expect(ptk.unset(data, 'accounts.5.nope')).to.deep.equal([]);
+        });
+
+        it( 'should delete wildcard matches, collections and each paths', function(){
+            expect(ptk.unset(data, 'accounts.1.savA*')).to.deep.equal(['accounts.1.savAa', 'accounts.1.savAb', 'accounts.1.savAc']);
+            expect(ptk.get(data, 'accounts.1.sav*')).to.deep.equal(['X', 'Y', 'Z', 'ba', 'bb', 'bc']);
+            expect(ptk.unset(data, 'accounts.1.savX,savY,savQ')).to.deep.equal(['accounts.1.savX', 'accounts.1.savY']);
+            expect(ptk.unset(data, 'people.*<name')).to.deep.equal(['people.0.name', 'people.1.name', 'people.2.name']);
+            expect(data.people).to.deep.equal([{id: 1}, {id: 2}, {id: 3}]);
+        });
+
+        it( 'should leave holes in arrays or splice elements out', function(){
+            expect(ptk.unset(data, 'accounts.0.ary.1')).to.deep.equal(['accounts.0.ary.1']);
+            expect(data.accounts[0].ary.length).to.equal(4);
+            expect(1 in data.accounts[0].ary).to.be.false;
+            expect(ptk.unset(data, 'accounts.1.indices.3,0,2', 'splice')).to.deep.equal(['accounts.1.indices.3', 'accounts.1.indices.0', 'accounts.1.indices.2']);
+            expect(data.accounts[1].indices).to.deep.equal([1]);
+            expect(ptk.unset(data, 'people[?id != 2]', 'splice')).to.deep.equal(['people.0', 'people.2']);
+            expect(data.people).to.deep.equal([{id: 2, name: 'Jane'}]);
+        });
+    });
+
+    describe( 'setIn, updateIn and unsetIn', function(){
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it( 'should copy only the written path and share every other branch', function(){
+            var copy = ptk.setIn(data, 'accounts.1.checking.id', 'new');
+            expect(copy.accounts[1].checking.id).to.equal('new');
+            expect(data.accounts[1].checking.id).to.equal('12345');
+            expect(copy).to.not.equal(data);
+            expect(copy.accounts).to.not.equal(data.accounts);
+            expect(copy.accounts[1].checking).to.not.equal(data.accounts[1].checking);
+            expect(copy.accounts[0]).to.equal(data.accounts[0]);
+            expect(copy.accounts[1].indices).to.equal(data.accounts[1].indices);
+            expect(copy.people).to.equal(data.people);
+            expect(Array.isArray(copy.accounts)).to.be.true;
+        });
+
+        it( 'should set every wildcard, collection and each match', function(){
+            var copy = ptk.setIn(data, 'accounts.1.savA*,savX', 0);
+            expect(ptk.get(copy, 'accounts.1.savAa,savAb,savAc,savX,savY')).to.deep.equal([0, 0, 0, 0, 'Y']);
+            expect(data.accounts[1].savAa).to.equal('aa');
+            copy = ptk.setIn(data, 'people<active', true);
+            expect(copy.people).to.deep.equal([{id: 1, name: 'John', active: true}, {id: 2, name: 'Jane', active: true}, {id: 3, name: 'Mary', active: true}]);
+            expect(data.people[0]).to.not.have.property('active');
+        });
+
+        it( 'should create missing intermediate objects only with force', function(){
+            expect(ptk.setIn(data, 'accounts.1.newA.newB', 1)).to.equal(data);
+            ptk.setForceOn();
+            var copy = ptk.setIn(data, 'accounts.1.newA.newB', 1);
+            expect(copy.accounts[1].newA).to.deep.equal({newB: 1});
+            expect(data.accounts[1]).to.not.have.property('newA');
+        });
+
+        it( 'should update values with a function', function(){
+            var copy = ptk.updateIn(data, 'people.*<id', function(id, path, parent){
+                return id * 10 + ':' + path + ':' + parent.name;
+            });
+            expect(ptk.get(copy, 'people<id')).to.deep.equal(['10:people.0.id:John', '20:people.1.id:Jane', '30:people.2.id:Mary']);
+            expect(ptk.get(data, 'people<id')).to.deep.equal([1, 2, 3]);
+        });
+
+        it( 'should remove properties without changing the original', function(){
+            var copy = ptk.unsetIn(data, 'accounts.1.sav*');
+            expect(Object.keys(copy.accounts[1]).filter(function(key){ return key.substr(0, 3) === 'sav'; })).to.deep.equal([]);
+            expect(data.accounts[1].savX).to.equal('X');
+            copy = ptk.unsetIn(data, 'people.0,2', 'splice');
+            expect(copy.people).to.deep.equal([{id: 2, name: 'Jane'}]);
+            expect(data.people.length).to.equal(3);
+            expect(ptk.unsetIn(data, 'accounts.1.nope')).to.equal(data);
+        });
+    });
+
+    describe( 'merge', function(){
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it('should deep-merge into the value at the path and list the changed paths', function(){
+            var value = {balance: 200, limits: {daily: 50}, tags: ['x']};
+            data.accounts[1].checking.limits = {daily: 10, weekly: 70};
+            data.accounts[1].checking.tags = ['a', 'b'];
+
+            expect(ptk.merge(data, 'accounts.1.checking', value)).to.deep.equal([
+                'accounts.1.checking.balance',
+                'accounts.1.checking.limits.daily',
+                'accounts.1.checking.tags'
+            ]);
+            expect(data.accounts[1].checking.id).to.equal('12345');
+            expect(data.accounts[1].checking.limits).to.deep.equal({daily: 50, weekly: 70});
+            expect(data.accounts[1].checking.tags).to.deep.equal(['x']);
+            expect(data.accounts[1].checking.limits).not.to.equal(value.limits);
+            // Equal values are left alone, but a replaced array is always a change
+            expect(ptk.merge(data, 'accounts.1.checking', value)).to.deep.equal(['accounts.1.checking.tags']);
+        });
+
+        it('should handle arrays according to the "arrays" option', function(){
+            expect(ptk.merge(data, 'accounts.0', {ary: [1]}, {arrays: 'concat'})).to.deep.equal(['accounts.0.ary.4']);
+            expect(data.accounts[0].ary).to.deep.equal([9,8,7,6,1]);
+            expect(ptk.merge(data, 'accounts.0', {ary: [1, 2]}, {arrays: 'byIndex'})).to.deep.equal(['accounts.0.ary.0', 'accounts.0.ary.1']);
+            expect(data.accounts[0].ary).to.deep.equal([1,2,7,6,1]);
+            expect(function(){ ptk.merge(data, 'accounts.0', {}, {arrays: 'zip'}); }).to.throw(/unknown "arrays" option/);
+        });
+
+        it('should merge into every value matched by a wildcard', function(){
+            data.accounts[1].savX = {};
+            data.accounts[1].savY = {rate: 2};
+            expect(ptk.merge(data, 'accounts.1.savX,savY', {rate: 1, fee: 0})).to.deep.equal([
+                'accounts.1.savX.rate', 'accounts.1.savX.fee', 'accounts.1.savY.rate', 'accounts.1.savY.fee'
+            ]);
+            expect(ptk.merge(data, 'people.*<address', {country: 'US'})).to.have.length(3);
+            expect(ptk.get(data, 'people<address<country')).to.deep.equal(['US', 'US', 'US']);
+        });
+
+        it('should create missing targets as "set" does', function(){
+            expect(ptk.merge(data, 'accounts.1.settings', {a: 1})).to.deep.equal(['accounts.1.settings']);
+            expect(data.accounts[1].settings).to.deep.equal({a: 1});
+            expect(ptk.merge(data, 'prefs.display', {a: 1})).to.deep.equal([]);
+            ptk.setForceOn();
+            expect(ptk.merge(data, 'prefs.display', {a: 1})).to.deep.equal(['prefs.display']);
+            expect(data.prefs).to.deep.equal({display: {a: 1}});
+        });
+
+        it('should refuse circular values and protected keys', function(){
+            var value = {a: {}};
+            value.a.b = value;
+            expect(function(){ ptk.merge(data, 'accounts.1', value); }).to.throw(/circular reference at "accounts.1.a.b"/);
+            expect(function(){ ptk.merge(data, 'accounts.1', JSON.parse('{"__proto__": {"polluted": true}}')); }).to.throw(/"__proto__" is not allowed/);
+            expect({}.polluted).to.be.undefined;
+        });
     });
 
     describe( 'find', function(){
@@ -770,6 +1277,462 @@ describe( 'PathToolkit', function(){
         });
     } );
 
+    describe('getPaths', function(){
+        it('should list the concrete paths matched by the recursive descent operator', function(){
+            data.accounts[1].checking.self = data.accounts[1].checking;
+            expect(ptk.getPaths(data, 'accounts.**.common')).to.deep.equal(['accounts.0.common', 'accounts.1.common', 'accounts.3.common']);
+            expect(ptk.getPaths(data, '**.id', 'pointer')).to.deep.equal(['/accounts/1/checking/id', '/people/0/id', '/people/1/id', '/people/2/id']);
+        });
+
+        it('should list the paths matched by wildcards, collections, slices and "each"', function(){
+            expect(ptk.getPaths(data, 'accounts.1.sav?')).to.deep.equal([]);
+            expect(ptk.getPaths(data, 'accounts.1.savA*')).to.deep.equal(['accounts.1.savAa', 'accounts.1.savAb', 'accounts.1.savAc']);
+            expect(ptk.getPaths(data, 'accounts.1.test1,test9,test2')).to.deep.equal(['accounts.1.test1', 'accounts.1.test2']);
+            expect(ptk.getPaths(data, 'people[-2:]<name')).to.deep.equal(['people.1.name', 'people.2.name']);
+            expect(ptk.getPaths(data, 'people<id')).to.deep.equal(['people.0.id', 'people.1.id', 'people.2.id']);
+            expect(ptk.getPaths(data, 'people.*.1')).to.deep.equal(['people.1']);
+            expect(ptk.getPaths(data, 'people[?id != 2]<name')).to.deep.equal(['people.0.name', 'people.2.name']);
+            expect(ptk.getPaths(data, ['foo.bar'])).to.deep.equal(["'foo.bar'"]);
+        });
+
+        it('should throw for paths that do not address properties directly', function(){
+            expect(function(){ ptk.getPaths(data, 'accounts.1.checking.fn()'); }).to.throw(Error, 'getPaths - path must contain only');
+            expect(function(){ ptk.getPaths(data, 'accounts.**'); }).to.throw(PathToolkit.PathSyntaxError);
+        });
+    });
+
+    describe('expand', function(){
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it('should list the path, tokens and value of every match', function(){
+            expect(ptk.expand(data, 'people.*<id,name')).to.deep.equal([
+                {path: 'people.0.id', tokens: {t: ['people', '0', 'id'], simple: true}, value: 1},
+                {path: 'people.0.name', tokens: {t: ['people', '0', 'name'], simple: true}, value: 'John'},
+                {path: 'people.1.id', tokens: {t: ['people', '1', 'id'], simple: true}, value: 2},
+                {path: 'people.1.name', tokens: {t: ['people', '1', 'name'], simple: true}, value: 'Jane'},
+                {path: 'people.2.id', tokens: {t: ['people', '2', 'id'], simple: true}, value: 3},
+                {path: 'people.2.name', tokens: {t: ['people', '2', 'name'], simple: true}, value: 'Mary'}
+            ]);
+            expect(ptk.expand(data, 'accounts.1.sav?')).to.deep.equal([]);
+        });
+
+        it('should replace eval properties by the property they name', function(){
+            data.accounts[1].propA = 'a';
+            data.accounts[1].propB = 'b';
+            expect(ptk.expand(data, '{accounts.1.test1}')).to.deep.equal([{path: 'propA', tokens: {t: ['propA'], simple: true}, value: 'one'}]);
+            expect(ptk.expand(data, 'accounts.1{test1}').map(function(match){ return match.path; })).to.deep.equal(['accounts.1.propA']);
+            expect(ptk.expand(data, 'accounts.1{~accounts.1.test2}')[0].value).to.equal('b');
+            expect(ptk.expand(data, 'accounts.1{%1}', 'test2')[0].path).to.equal('accounts.1.propB');
+            expect(ptk.expand(data, 'accounts.1{%1}', 'test9')).to.deep.equal([]);
+        });
+
+        it('should give tokens which read back empty property names', function(){
+            var obj = {a: {'': {x: 1}}};
+            var match = ptk.expand(obj, 'a.*<x')[0];
+            expect(match.path).to.equal("a.''.x");
+            expect(match.tokens).to.deep.equal({t: ['a', '', 'x'], simple: false});
+            expect(ptk.get(obj, match.tokens)).to.equal(1);
+            expect(ptk.get(obj, match.path)).to.equal(1);
+            expect(ptk.get(obj, ptk.getTokens('a[""].x'))).to.equal(1);
+        });
+
+        it('should replace placeholders by the property they name', function(){
+            expect(ptk.expand(data, 'people.0.%1', 'id')).to.deep.equal([{path: 'people.0.id', tokens: {t: ['people', '0', 'id'], simple: true}, value: 1}]);
+            expect(ptk.expand(data, 'people.%{index}.name', {index: 1})[0].value).to.equal('Jane');
+            expect(ptk.expand(data, 'people.*<%1', 'id').map(function(match){ return match.value; })).to.deep.equal([1, 2, 3]);
+            expect(ptk.expand(data, 'people.0.%1')).to.deep.equal([]);
+            expect(function(){ ptk.expand(data, 'people.0.%{key}', {}); }).to.throw(Error, 'expand - missing binding "key"');
+        });
+
+        it('should give paths and tokens which address the same location', function(){
+            var obj = {a: {'0': {b: 1}, list: [{b: 2}]}};
+            var matches = ptk.expand(obj, 'a.*<b');
+            expect(matches.map(function(match){ return match.path; })).to.deep.equal(["a.'0'.b"]);
+            ptk.set(obj, matches[0].tokens, 3);
+            expect(ptk.get(obj, matches[0].path)).to.equal(3);
+            ptk.setOptions({separators: {'/': {exec: 'property'}, ',': {exec: 'collection'}, '<': {exec: 'each'}}});
+            expect(ptk.expand(obj, 'a/list/0/b')[0].path).to.equal('a/list/0/b');
+        });
+    });
+
+    describe('flatten and unflatten', function(){
+        var doc;
+
+        beforeEach(function(){
+            doc = {
+                a: {b: [{c: 1}, {'x.y': 2, '[z]': 3, 'it\'s': 4, '"q"': 5}]},
+                '0': {'1': 'digits'},
+                empty: {},
+                none: [],
+                date: new Date(0),
+                nil: null
+            };
+        });
+
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it('should map every leaf path to its value', function(){
+            expect(ptk.flatten(doc)).to.deep.equal({
+                'a.b.0.c': 1,
+                "a.b.1.'x.y'": 2,
+                "a.b.1.'[z]'": 3,
+                "a.b.1.'it\\'s'": 4,
+                "a.b.1.'\"q\"'": 5,
+                "'0'.'1'": 'digits',
+                'empty': {},
+                'none': [],
+                'date': doc.date,
+                'nil': null
+            });
+            expect(ptk.flatten(doc, {arrays: 'keep'})['a.b']).to.equal(doc.a.b);
+            expect(ptk.flatten(doc, {maxDepth: 2})['a.b']).to.equal(doc.a.b);
+            expect(ptk.flatten('abc')).to.deep.equal({});
+        });
+
+        it('should rebuild the original structure', function(){
+            expect(ptk.unflatten(ptk.flatten(doc))).to.deep.equal(doc);
+            expect(ptk.unflatten(ptk.flatten(doc, {maxDepth: 1}))).to.deep.equal(doc);
+            expect(ptk.unflatten(ptk.flatten([[1, 2], {a: 1}]))).to.deep.equal([[1, 2], {a: 1}]);
+            ptk.setSeparatorProperty('/');
+            expect(ptk.flatten(doc)).to.have.property('a/b/1/x.y', 2);
+            expect(ptk.unflatten(ptk.flatten(doc))).to.deep.equal(doc);
+        });
+
+        it('should refuse what it cannot flatten or rebuild', function(){
+            doc.a.self = doc.a;
+            expect(function(){ ptk.flatten(doc); }).to.throw(/circular reference at "a.self"/);
+            expect(function(){ ptk.flatten({}, {arrays: 'sparse'}); }).to.throw(/unknown "arrays" option/);
+            expect(function(){ ptk.unflatten({'a': 1, 'a.b': 2}); }).to.throw(/runs through the value at "a"/);
+            expect(function(){ ptk.unflatten({'a.*': 1}); }).to.throw(/may only contain property names and indices/);
+        });
+    });
+
+    describe('diff', function(){
+        it('should list added, removed and replaced values', function(){
+            var a = {v: 1, cfg: {x: 1, y: [1, 2, 3], 'a.b': 1}, gone: true};
+            var b = {v: 2, cfg: {x: 1, y: [1, 5], 'a.b': 2}, added: {}};
+            expect(ptk.diff(a, b)).to.deep.equal([
+                {op: 'replace', path: 'v', oldValue: 1, newValue: 2},
+                {op: 'replace', path: 'cfg.y.1', oldValue: 2, newValue: 5},
+                {op: 'remove', path: 'cfg.y.2', oldValue: 3},
+                {op: 'replace', path: "cfg.'a.b'", oldValue: 1, newValue: 2},
+                {op: 'remove', path: 'gone', oldValue: true},
+                {op: 'add', path: 'added', newValue: {}}
+            ]);
+            expect(ptk.diff(a, a)).to.deep.equal([]);
+            expect(ptk.diff({n: NaN}, {n: NaN})).to.deep.equal([]);
+            expect(ptk.diff(1, 'x')).to.deep.equal([{op: 'replace', path: '', oldValue: 1, newValue: 'x'}]);
+        });
+
+        it('should match array elements by an identity key', function(){
+            var b = {people: [data.people[0], {id: 3, name: 'Maria'}, {id: 4, name: 'Ann'}]},
+                a;
+            expect(ptk.diff(data, b, {key: 'id'}).filter(function(change){ return change.path.indexOf('people') === 0; })).to.deep.equal([
+                {op: 'remove', path: 'people.1', oldValue: data.people[1]},
+                {op: 'add', path: 'people.2', newValue: b.people[2]},
+                {op: 'replace', path: 'people.1.name', oldValue: 'Mary', newValue: 'Maria'}
+            ]);
+            // Reordered elements are moved
+            expect(ptk.diff({l: [{id: 1}, {id: 2}]}, {l: [{id: 2}, {id: 1}]}, {key: 'id'})).to.deep.equal([
+                {op: 'move', from: 'l.1', path: 'l.0'}
+            ]);
+            a = {l: [{id: 1}, {id: 2, v: 0}, {id: 3}, {id: 4}]};
+            b = {l: [{id: 5}, {id: 4}, {id: 2, v: 1}, {id: 1}]};
+            expect(ptk.diff(a, b, {key: 'id'})).to.deep.equal([
+                {op: 'remove', path: 'l.2', oldValue: {id: 3}},
+                {op: 'move', from: 'l.2', path: 'l.0'},
+                {op: 'move', from: 'l.2', path: 'l.1'},
+                {op: 'add', path: 'l.0', newValue: {id: 5}},
+                {op: 'replace', path: 'l.2.v', oldValue: 0, newValue: 1}
+            ]);
+            ptk.applyPatch(a, ptk.diff(a, b, {key: 'id'}));
+            expect(a).to.deep.equal(b);
+            // Elements without an identity are compared by index
+            expect(ptk.diff({l: [1, 2]}, {l: [1, 3]}, {key: 'id'})).to.deep.equal([{op: 'replace', path: 'l.1', oldValue: 2, newValue: 3}]);
+        });
+
+        it('should throw for circular references', function(){
+            var a = {x: {}}, b = {x: {}};
+            a.x.self = a;
+            b.x.self = b;
+            expect(function(){ ptk.diff(a, b); }).to.throw(/circular reference at "x.self"/);
+        });
+    });
+
+    describe('applyPatch', function(){
+        it('should apply every JSON Patch operation, with pointers or keypaths', function(){
+            var result = ptk.applyPatch(data, [
+                {op: 'add', path: '/accounts/0/ary/-', value: 5},
+                {op: 'replace', path: 'accounts.1.checking.balance', value: 0},
+                {op: 'move', from: '/accounts/3/common', path: '/accounts/3/label'},
+                {op: 'copy', from: 'accounts.0.ary', path: 'aryCopy'},
+                {op: 'remove', path: 'accounts.0.ary.0'},
+                {op: 'test', path: '/accounts/1/checking/balance', value: 0}
+            ]);
+            expect(result).to.equal(data);
+            expect(data.accounts[0].ary).to.deep.equal([8,7,6,5]);
+            expect(data.aryCopy).to.deep.equal([9,8,7,6,5]);
+            expect(data.accounts[1].checking.balance).to.equal(0);
+            expect(data.accounts[3]).to.deep.equal({propAry: ['savBa','savBb'], label: 'C'});
+            expect(ptk.applyPatch(data, [{op: 'replace', path: '', value: 5}])).to.equal(5);
+        });
+
+        it('should roll back all operations if one fails', function(){
+            var before = JSON.parse(JSON.stringify(data.people));
+            expect(function(){
+                ptk.applyPatch(data, [
+                    {op: 'remove', path: '/people/0/name'},
+                    {op: 'add', path: '/people/0', value: {id: 0}},
+                    {op: 'test', path: '/people/2/name', value: 'Jane'},
+                    {op: 'test', path: '/people/3/name', value: 'Jane'}
+                ]);
+            }).to.throw('applyPatch - operation 3 - test failed at "/people/3/name"');
+            expect(data.people).to.deep.equal(before);
+            expect(function(){ ptk.applyPatch(data, [{op: 'remove', path: '/people/3'}]); }).to.throw(/out of range/);
+            expect(function(){ ptk.applyPatch(data, [{op: 'replace', path: '/nope', value: 1}]); }).to.throw(/nothing found at "\/nope"/);
+            expect(function(){ ptk.applyPatch(data, [{op: 'add', path: 'people.*', value: 1}]); }).to.throw(/only contain property names/);
+
+            expect(function(){
+                ptk.applyPatch(data, [{op: 'remove', path: '/people/0/name'}, {op: 'bogus', path: ''}], {atomic: false});
+            }).to.throw(/unknown operation "bogus"/);
+            expect(data.people[0]).to.deep.equal({id: 1});
+        });
+
+        it('should refuse operations which are not a list of objects', function(){
+            expect(function(){ ptk.applyPatch(data, null); }).to.throw(Error, 'applyPatch - operations must be an array, not null');
+            expect(function(){ ptk.applyPatch(data, {op: 'remove', path: '/people/0'}); }).to.throw(Error, 'applyPatch - operations must be an array, not object');
+            expect(function(){ ptk.applyPatch(data, [null]); }).to.throw(Error, 'applyPatch - operation 0 - operation must be an object');
+        });
+
+        it('should refuse array indices with leading zeros', function(){
+            var before = JSON.parse(JSON.stringify(data.people));
+            expect(function(){ ptk.applyPatch(data, [{op: 'replace', path: '/people/01', value: 1}]); }).to.throw(Error, 'applyPatch - operation 0 - index "01" is out of range at "/people/01"');
+            expect(function(){ ptk.applyPatch(data, [{op: 'add', path: '/people/00', value: 1}]); }).to.throw(/index "00" is out of range/);
+            expect(function(){ ptk.applyPatch(data, [{op: 'remove', path: '/people/01/name'}]); }).to.throw(/nothing found at "\/people\/01"/);
+            expect(function(){ ptk.applyPatch(data, [{op: 'copy', from: '/people/length', path: '/n'}]); }).to.throw(/nothing found at "\/people\/length"/);
+            expect(data.people).to.deep.equal(before);
+            ptk.applyPatch(data, [{op: 'replace', path: '/people/0/id', value: 0}]);
+            expect(data.people[0].id).to.equal(0);
+        });
+
+        it('should produce the inverse patch and accept changes listed by diff', function(){
+            var copy = JSON.parse(JSON.stringify(data.accounts[0]));
+            var patched = ptk.applyPatch(data, [
+                {op: 'add', path: '/accounts/0/ary/1', value: 0},
+                {op: 'replace', path: '/accounts/0/common', value: 'Z'},
+                {op: 'add', path: '/accounts/0/extra', value: true}
+            ], {inverse: true});
+            expect(patched.result).to.equal(data);
+            expect(patched.inverse).to.deep.equal([
+                {op: 'remove', path: '/accounts/0/extra'},
+                {op: 'replace', path: '/accounts/0/common', value: 'A'},
+                {op: 'remove', path: '/accounts/0/ary/1'}
+            ]);
+            ptk.applyPatch(data, patched.inverse);
+            expect(data.accounts[0]).to.deep.equal(copy);
+
+            var target = {ary: [9, 7], common: 'B', more: {}};
+            ptk.applyPatch(data, ptk.diff(data.accounts[0], target).map(function(change){
+                return {op: change.op, path: 'accounts.0.' + change.path, newValue: change.newValue};
+            }));
+            expect(data.accounts[0]).to.deep.equal(target);
+        });
+    });
+
+    describe('JSON Pointer', function(){
+        it('should get values with getPointer', function(){
+            expect(ptk.getPointer(data, '/accounts/1/checking/balance')).to.equal(data.accounts[1].checking.balance);
+            expect(ptk.getPointer(data, '/foo.bar')).to.equal(data['foo.bar']);
+            expect(ptk.getPointer(data, '')).to.equal(data);
+            expect(ptk.getPointer(data, '/accounts/9/checking')).to.be.undefined;
+        });
+
+        it('should unescape ~0 and ~1 in pointer segments', function(){
+            var obj = { 'a/b': { 'm~n': 1 } };
+            expect(ptk.getPointer(obj, '/a~1b/m~0n')).to.equal(1);
+            expect(ptk.getPointer({ '~1': 2 }, '/~01')).to.equal(2);
+        });
+
+        it('should accept the URI fragment form of a pointer', function(){
+            expect(ptk.getPointer({ 'a b': { c: 1 } }, '#/a%20b/c')).to.equal(1);
+        });
+
+        it('should resolve "-1" as a property name, not a negative index', function(){
+            expect(ptk.getPointer(data, '/accounts/0/ary/-1')).to.be.undefined;
+            expect(ptk.getPointer({ a: { '-1': 5 } }, '/a/-1')).to.equal(5);
+            expect(ptk.fromPointer('/a/-1').t).to.deep.equal(['a', {q: '-1'}]);
+            expect(ptk.toPointer(ptk.fromPointer('/a/-1'))).to.equal('/a/-1');
+            expect(ptk.get({ a: { '-1': 5 } }, ptk.stringify(ptk.fromPointer('/a/-1')))).to.equal(5);
+            expect(ptk.get({ a: [1, 2] }, ptk.stringify(ptk.fromPointer('/a/-1')))).to.be.undefined;
+        });
+
+        it('should resolve empty property names', function(){
+            var obj = {'': {x: 2}};
+            expect(ptk.fromPointer('//x')).to.deep.equal({t: ['', 'x'], simple: false});
+            expect(ptk.getPointer(obj, '//x')).to.equal(2);
+            expect(ptk.getPointer({'': 2}, '/')).to.equal(2);
+            expect(ptk.setPointer(obj, ptk.find(obj, 2, 'one', 'pointer'), 3)).to.be.true;
+            expect(obj).to.deep.equal({'': {x: 3}});
+        });
+
+        it('should set values with setPointer', function(){
+            expect(ptk.setPointer(data, '/accounts/1/checking/id', 'new')).to.be.true;
+            expect(data.accounts[1].checking.id).to.equal('new');
+            expect(ptk.setPointer(data, '/accounts/1/missing/id', 'new')).to.be.false;
+            expect(ptk.setPointer(data, '', 'new')).to.be.false;
+        });
+
+        it('should append to an array when setting "-"', function(){
+            expect(ptk.setPointer(data, '/accounts/0/ary/-', 5)).to.be.true;
+            expect(data.accounts[0].ary).to.deep.equal([9,8,7,6,5]);
+        });
+
+        it('should throw PathSyntaxError for invalid pointers', function(){
+            var err;
+            expect(function(){ ptk.getPointer(data, 'accounts/1'); }).to.throw(PathToolkit.PathSyntaxError, '\'/\' at start of JSON Pointer');
+            try { ptk.fromPointer('/a/b~2'); } catch(e){ err = e; }
+            expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(err.offset).to.equal(5);
+            err = undefined;
+            try { ptk.getPointer(data, '#/a%zz'); } catch(e){ err = e; }
+            expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(err.offset).to.equal(3);
+            expect(err.expected).to.equal('percent-encoded UTF-8 in URI fragment');
+            expect(function(){ ptk.fromPointer('#/a%C3%28'); }).to.throw(PathToolkit.PathSyntaxError, 'percent-encoded UTF-8');
+        });
+
+        it('should convert between pointers and tokens', function(){
+            expect(ptk.fromPointer('/a~1b/0').t).to.deep.equal(['a/b', '0']);
+            expect(ptk.toPointer('accounts[1]["a/b~c"]')).to.equal('/accounts/1/a~1b~0c');
+            expect(ptk.toPointer(ptk.fromPointer('/a~1b/m~0n/0'))).to.equal('/a~1b/m~0n/0');
+            expect(ptk.stringify(ptk.fromPointer('/foo.bar/0'))).to.equal("'foo.bar'.0");
+        });
+
+        it('should refuse to convert keypaths with operations other than plain properties', function(){
+            expect(function(){ ptk.toPointer('accounts.*.common'); }).to.throw(Error, 'toPointer - only property names');
+            expect(function(){ ptk.toPointer('accounts.1.fn()'); }).to.throw(Error, 'toPointer - only property names');
+        });
+
+        it('should return pointers from find and findSafe when requested', function(){
+            var val = data['foo.bar'];
+            expect(ptk.find(data, data.accounts[1].test2, 'one', 'pointer')).to.equal('/accounts/1/test2');
+            expect(ptk.find(data, val, 'one', 'pointer')).to.equal('/foo.bar');
+            expect(ptk.find(data, data.accounts[1].test1, 'many', 'pointer').sort()).to.deep.equal(['/accounts/1/checking/repeat', '/accounts/1/test1']);
+            expect(ptk.findSafe(data, data.accounts[1].test2, 'one', 'pointer')).to.equal('/accounts/1/test2');
+        });
+    });
+
+    describe('fromJSONPath', function(){
+        it('should compile dot and bracket child selectors', function(){
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[1].checking.id'))).to.equal(data.accounts[1].checking.id);
+            expect(ptk.get(data, ptk.fromJSONPath('$[\'foo.bar\']'))).to.equal(data['foo.bar']);
+            expect(ptk.get(data, ptk.fromJSONPath('$["John \\"Johnny\\" Doe"]'))).to.equal(data['John "Johnny" Doe']);
+            expect(ptk.fromJSONPath('$.accounts[1].checking').t).to.deep.equal(['accounts', '1', 'checking']);
+            expect(ptk.fromJSONPath('$.accounts[1].checking').simple).to.be.true;
+            expect(ptk.get(data, ptk.fromJSONPath('$'))).to.equal(data);
+        });
+
+        it('should compile wildcards and apply following selectors to each match', function(){
+            expect(ptk.get(data, ptk.fromJSONPath('$.people[*].name'))).to.deep.equal(['John', 'Jane', 'Mary']);
+            expect(ptk.get(data, ptk.fromJSONPath('$.people.*.id'))).to.deep.equal([1, 2, 3]);
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[0].ary[*]'))).to.deep.equal(data.accounts[0].ary);
+        });
+
+        it('should compile unions of indices and names into collections', function(){
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[0].ary[0,2]'))).to.deep.equal([9, 7]);
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[1][\'test1\', "test2"]'))).to.deep.equal(['propA', 'propB']);
+            expect(ptk.get(data, ptk.fromJSONPath('$.people[0,2].name'))).to.deep.equal(['John', 'Mary']);
+        });
+
+        it('should compile array slices', function(){
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[0].ary[1:3]'))).to.deep.equal([8, 7]);
+            expect(ptk.get(data, ptk.fromJSONPath('$.people[-2:].name'))).to.deep.equal(['Jane', 'Mary']);
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[0].ary[::-2]'))).to.deep.equal([6, 8]);
+            expect(function(){ ptk.fromJSONPath('$.people[::0]'); }).to.throw(PathToolkit.PathSyntaxError);
+        });
+
+        it('should compile recursive descent', function(){
+            expect(ptk.get(data, ptk.fromJSONPath('$..balance'))).to.deep.equal([123]);
+            expect(ptk.get(data, ptk.fromJSONPath('$.people..name'))).to.deep.equal(['John', 'Jane', 'Mary']);
+            expect(ptk.get(data, ptk.fromJSONPath("$.accounts..['test1','test2']"))).to.deep.equal(['propA', 'propB']);
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts..checking.id'))).to.deep.equal(['12345']);
+            expect(function(){ ptk.fromJSONPath('$.accounts..'); }).to.throw(PathToolkit.PathSyntaxError);
+        });
+
+        it('should compile filter expressions', function(){
+            expect(ptk.get(data, ptk.fromJSONPath('$.people[?(@.id > 1)].name'))).to.deep.equal(['Jane', 'Mary']);
+            expect(ptk.get(data, ptk.fromJSONPath('$.people[?(@.name == "John" || @.id == 3)].id'))).to.deep.equal([1, 3]);
+            expect(ptk.get(data, ptk.fromJSONPath('$.accounts[0].ary[?(@ < 8)]'))).to.deep.equal([7, 6]);
+            expect(ptk.stringify(ptk.fromJSONPath("$.people[?(@['name'] =~ /^J/)]"))).to.equal('people[?name =~ /^J/]');
+            expect(function(){ ptk.fromJSONPath('$.people[?(name)]'); }).to.throw(PathToolkit.PathSyntaxError, '\'@\' at start of path in filter');
+            expect(function(){ ptk.fromJSONPath('$.people[?(@.id > 1]'); }).to.throw(PathToolkit.PathSyntaxError);
+        });
+
+        it('should set values through compiled expressions', function(){
+            expect(ptk.set(data, ptk.fromJSONPath('$.people[*].name'), 'X')).to.be.true;
+            expect(ptk.get(data, 'people.*<name')).to.deep.equal(['X', 'X', 'X']);
+        });
+
+        it('should chain several multi-match selectors into one list of matches', function(){
+            var obj = { a: [ { b: [{c: 1}, {c: 2}] }, { b: [{c: 3}] } ] };
+            expect(ptk.get(obj, ptk.fromJSONPath('$.a[*].b[*].c'))).to.deep.equal([1, 2, 3]);
+            expect(ptk.get(obj, ptk.fromJSONPath('$.a[*].b[*]'))).to.deep.equal([{c: 1}, {c: 2}, {c: 3}]);
+            expect(ptk.get(obj, ptk.fromJSONPath('$.a[*].b[0:1].c'))).to.deep.equal([1, 3]);
+            expect(ptk.get(obj, ptk.fromJSONPath('$.a[*].b[?(@.c > 1)].c'))).to.deep.equal([2, 3]);
+            expect(ptk.get(obj, ptk.fromJSONPath('$.a[*]..c'))).to.deep.equal([1, 2, 3]);
+            expect(ptk.get(obj, ptk.fromJSONPath('$.a[*].b[-1].c'))).to.deep.equal([2, 3]);
+            expect(ptk.getPaths(obj, ptk.fromJSONPath('$.a[*].b[*].c'))).to.deep.equal(['a.0.b.0.c', 'a.0.b.1.c', 'a.1.b.0.c']);
+            expect(ptk.set(obj, ptk.fromJSONPath('$.a[*].b[*].c'), 0)).to.be.true;
+            expect(obj.a[0].b).to.deep.equal([{c: 0}, {c: 0}]);
+            expect(obj.a[1].b).to.deep.equal([{c: 0}]);
+            expect(function(){ ptk.stringify(ptk.fromJSONPath('$.a[*].b[*]')); }).to.throw(Error, 'stringify - chained JSONPath selector at index 3 has no keypath equivalent');
+        });
+
+        it('should leave out matches which lack the selected member', function(){
+            var store = {book: [{isbn: 'x', price: 1}, {price: 2}, null, {isbn: 'y', tags: ['a']}], bicycle: {color: 'red'}};
+            expect(ptk.get(store, ptk.fromJSONPath('$.book[*].isbn'))).to.deep.equal(['x', 'y']);
+            expect(ptk.get(store, ptk.fromJSONPath('$.*.price'))).to.deep.equal([]);
+            expect(ptk.get(store, ptk.fromJSONPath('$.book.*.price'))).to.deep.equal([1, 2]);
+            expect(ptk.get(store, ptk.fromJSONPath('$.book[*].tags[0]'))).to.deep.equal(['a']);
+            expect(ptk.get(store, ptk.fromJSONPath('$..isbn'))).to.deep.equal(['x', 'y']);
+            expect(ptk.getPaths(store, ptk.fromJSONPath('$.book[*].isbn'))).to.deep.equal(['book.0.isbn', 'book.3.isbn']);
+            expect(ptk.set(store, ptk.fromJSONPath('$.book[*].isbn'), 'z')).to.be.true;
+            expect(ptk.get(store, 'book.*<isbn')).to.be.undefined;
+            expect(store.book[1]).to.deep.equal({price: 2});
+            expect(store.book[3].isbn).to.equal('z');
+        });
+
+        it('should read quoted names after a multi-match selector literally', function(){
+            var obj = { a: [ {'x*y': 1, xzy: 2}, {'x*y': 3, xzy: 4} ] };
+            expect(ptk.fromJSONPath("$.a[*]['x*y']").t[2]).to.deep.equal({q: 'x*y', doEach: true, skip: true});
+            expect(ptk.get(obj, ptk.fromJSONPath("$.a[*]['x*y']"))).to.deep.equal([1, 3]);
+            expect(ptk.get(obj, ptk.fromJSONPath("$.a[*]['xzy']"))).to.deep.equal([2, 4]);
+            delete obj.a[1]['x*y'];
+            expect(ptk.get(obj, ptk.fromJSONPath("$.a[*]['x*y']"))).to.deep.equal([1]);
+            expect(ptk.get(obj, "a.*<'x*y'")).to.be.undefined;
+            expect(ptk.get(obj, 'a.*<["xzy"]')).to.deep.equal([2, 4]);
+            expect(ptk.stringify(ptk.getTokens("a.*<'x*y'"))).to.equal("a.*<'x*y'");
+        });
+
+        it('should throw PathSyntaxError for invalid expressions', function(){
+            var err;
+            try { ptk.fromJSONPath('$.accounts[1'); } catch(e){ err = e; }
+            expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(err.offset).to.equal(12);
+            expect(function(){ ptk.fromJSONPath('accounts'); }).to.throw(PathToolkit.PathSyntaxError, '\'$\' at start of JSONPath expression');
+            expect(function(){ ptk.fromJSONPath('$.accounts.'); }).to.throw(PathToolkit.PathSyntaxError);
+        });
+
+        it('should throw for constructs with no PathToolkit equivalent', function(){
+            expect(function(){ ptk.fromJSONPath('$.people[0,1:2]'); }).to.throw(Error, 'fromJSONPath - array slice inside a union');
+            expect(function(){ ptk.fromJSONPath('$.people[(@.length-1)]'); }).to.throw(Error, 'fromJSONPath - script expression');
+        });
+    });
+
     describe('getTokens', function () {
         it('should return a token array from a string path', function () {
             var str = 'accounts.1.test2';
@@ -786,6 +1749,10 @@ describe( 'PathToolkit', function(){
             expect(tokens.t.length).to.equal(2);
             expect(tokens.t.join('|')).to.equal('f(oo)|b.ar');
         });
+        it('should list the bindings required by named placeholders', function () {
+            expect(ptk.getTokens('accounts.1.test1').bindings).to.deep.equal([]);
+            expect(ptk.getTokens('a.%{x}{@{fn}(%{y}, %{x})}.b[?c == ~%{z}]').bindings).to.deep.equal(['x', 'fn', 'y', 'z']);
+        });
         it('should return undefined if path ends in an escape character', function () {
             var str = 'foo.bar\\';
             expect(ptk.getTokens(str)).to.be.undefined;
@@ -800,6 +1767,133 @@ describe( 'PathToolkit', function(){
             expect(ptk.isValid('accounts{{a()},{b.c,d}}')).to.be.true;
             expect(ptk.isValid('accounts{{a(),{b.c,d}}')).to.be.false;
         });
+
+        it('should return diagnostics if requested', function(){
+            var result = ptk.isValid('accounts.1.test2', true);
+            expect(result.valid).to.be.true;
+            expect(result.error).to.be.undefined;
+            result = ptk.isValid('accounts.{1.test2', true);
+            expect(result.valid).to.be.false;
+            expect(result.error).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(result.error.offset).to.equal(17);
+        });
+    });
+
+    describe('parse', function(){
+        it('should return the same tokens as getTokens for a valid path', function(){
+            expect(ptk.parse('accounts.1.test2')).to.deep.equal(ptk.getTokens('accounts.1.test2'));
+            expect(ptk.parse('accounts{2()}checking.id')).to.deep.equal(ptk.getTokens('accounts{2()}checking.id'));
+        });
+
+        it('should throw PathSyntaxError for an unclosed container', function(){
+            var err;
+            try { ptk.parse('accounts[1.test2'); } catch(e){ err = e; }
+            expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(err).to.be.an.instanceOf(Error);
+            expect(err.name).to.equal('PathSyntaxError');
+            expect(err.path).to.equal('accounts[1.test2');
+            expect(err.offset).to.equal(16);
+            expect(err.character).to.equal('');
+            expect(err.expected).to.equal('closer \']\' for container opened at 8');
+            expect(err.snippet).to.equal('accounts[1.test2\n                ^');
+            expect(err.message).to.contain(err.snippet);
+        });
+
+        it('should report offsets of nested containers relative to the full path', function(){
+            var err;
+            try { ptk.parse('a{b(c}'); } catch(e){ err = e; }
+            expect(err.offset).to.equal(5);
+            expect(err.character).to.equal('}');
+            expect(err.expected).to.equal('closer \')\' for container opened at 3');
+        });
+
+        it('should report a closer for another container at its offset', function(){
+            var err;
+            try { ptk.parse('a[b}'); } catch(e){ err = e; }
+            expect(err.offset).to.equal(3);
+            expect(err.character).to.equal('}');
+            expect(err.expected).to.equal('closer \']\' for container opened at 1');
+            try { ptk.parse('a{b(c]'); } catch(e){ err = e; }
+            expect(err.offset).to.equal(5);
+            expect(err.character).to.equal(']');
+            expect(err.expected).to.equal('closer \')\' for container opened at 3');
+        });
+
+        it('should throw PathSyntaxError for a closer without an opener', function(){
+            var err;
+            try { ptk.parse('a]b'); } catch(e){ err = e; }
+            expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(err.offset).to.equal(1);
+            expect(err.character).to.equal(']');
+            expect(err.expected).to.equal('opener for closer \']\'');
+            expect(function(){ ptk.parse('accounts.1}'); }).to.throw(PathToolkit.PathSyntaxError, 'opener for closer');
+            expect(ptk.get(data, 'accounts]1')).to.be.undefined;
+            expect(ptk.parse('accounts.1\\]')).to.deep.equal(ptk.getTokens('accounts.1\\]'));
+        });
+
+        it('should throw PathSyntaxError for an unterminated quote', function(){
+            var err;
+            try { ptk.parse('accounts.\'test2'); } catch(e){ err = e; }
+            expect(err.offset).to.equal(15);
+            expect(err.expected).to.equal('closer \'\'\' for container opened at 9');
+        });
+
+        it('should throw PathSyntaxError for a prefix without a property name', function(){
+            var err;
+            try { ptk.parse('accounts.^.test2'); } catch(e){ err = e; }
+            expect(err.offset).to.equal(10);
+            expect(err.character).to.equal('.');
+            expect(err.expected).to.equal('property name after prefix \'^\'');
+            expect(function(){ ptk.parse('accounts.~'); }).to.throw(PathToolkit.PathSyntaxError, 'property name after prefix');
+        });
+
+        it('should throw PathSyntaxError for a trailing escape character', function(){
+            var err;
+            try { ptk.parse('foo.bar\\'); } catch(e){ err = e; }
+            expect(err.offset).to.equal(7);
+            expect(err.character).to.equal('\\');
+        });
+    });
+
+    describe('validate', function(){
+        it('should return undefined for a valid path', function(){
+            expect(ptk.validate('accounts.1.test2')).to.be.undefined;
+            expect(ptk.validate('accounts{{a()},{b.c,d}}')).to.be.undefined;
+        });
+
+        it('should return, not throw, a PathSyntaxError for an invalid path', function(){
+            var err = ptk.validate('accounts{{a(),{b.c,d}}');
+            expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+            expect(err.offset).to.equal(22);
+            expect(err.expected).to.equal('closer \'}\' for container opened at 8');
+        });
+
+        it('should require a property name, wildcard or collection after "**"', function(){
+            expect(ptk.validate('accounts.**').offset).to.equal(11);
+            expect(ptk.validate('accounts.**.{x}').offset).to.equal(12);
+            expect(ptk.validate('accounts.**.**.x').expected).to.equal('property name after \'**\'');
+            expect(ptk.validate('accounts.**.x,y*')).to.be.undefined;
+        });
+
+        it('should report invalid named placeholders', function(){
+            expect(ptk.validate('accounts.%{}').offset).to.equal(11);
+            expect(ptk.validate('accounts.%{a.b}').expected).to.equal('binding name in \'{}\'');
+            expect(ptk.validate('accounts.%{a}b').offset).to.equal(13);
+        });
+
+        it('should report empty call arguments', function(){
+            expect(ptk.validate('accounts.1.checking.fnArg(1,,2)').offset).to.equal(28);
+            expect(ptk.validate('accounts.1.checking.fnArg(1, ^)').offset).to.equal(30);
+        });
+
+        it('should report problems inside filter expressions', function(){
+            expect(ptk.validate('people[?id >]').offset).to.equal(12);
+            expect(ptk.validate('people[?id = 1]').expected).to.equal('operator or end of filter');
+            expect(ptk.validate('people[?(id > 1]').expected).to.equal('\')\'');
+            expect(ptk.validate('people[?name == \'J]').expected).to.equal('closing \' for string');
+            expect(ptk.validate('people[?a.^]').offset).to.equal(11);
+            expect(ptk.validate('people[?/a(/]').expected).to.equal('valid regular expression');
+        });
     });
 
     describe('escape', function(){
@@ -809,6 +1903,151 @@ describe( 'PathToolkit', function(){
         });
     });
 
+    describe('unescape', function(){
+        it('should reverse escape', function(){
+            var str = 'accounts{{a()},{b.c,d}}';
+            expect(ptk.unescape(ptk.escape(str))).to.equal(str);
+            expect(ptk.unescape('a\\.b\\\\c')).to.equal('a.b\\c');
+        });
+    });
+
+    describe('quote', function(){
+        it('should quote a segment and escape quotes and backslashes within', function(){
+            expect(ptk.quote('foo.bar')).to.equal("'foo.bar'");
+            expect(ptk.quote("it's")).to.equal("'it\\'s'");
+            expect(ptk.quote('a\\b')).to.equal("'a\\\\b'");
+        });
+
+        it('should produce a segment that resolves to the original property name', function(){
+            var obj = { 'a.b': { "it's": 1, 'c\\d': 2, 'x*': 3 } };
+            expect(ptk.get(obj, ptk.quote('a.b') + '.' + ptk.quote("it's"))).to.equal(1);
+            expect(ptk.get(obj, ptk.quote('a.b') + '.' + ptk.quote('c\\d'))).to.equal(2);
+            expect(ptk.get(obj, ptk.quote('a.b') + '.' + ptk.quote('x*'))).to.equal(3);
+        });
+    });
+
+    describe('stringify', function(){
+        afterEach(function(){
+            ptk.resetOptions();
+        });
+
+        it('should produce canonical keypaths from tokens', function(){
+            expect(ptk.stringify(ptk.parse('accounts[1]["checking"].id'))).to.equal('accounts.1.checking.id');
+            expect(ptk.stringify(ptk.parse('["foo.bar"]'))).to.equal("'foo.bar'");
+            expect(ptk.stringify(ptk.parse('accounts.1.^^test*'))).to.equal('accounts.1.^^test*');
+            expect(ptk.stringify({t:['a', 'b.c', 'd']})).to.equal("a.'b.c'.d");
+            expect(ptk.stringify(['a', 'b'])).to.equal('a.b');
+            expect(ptk.stringify(ptk.parse('people[ 1 : ]'))).to.equal('people[1:]');
+        });
+
+        it('should round trip all token types: parse(stringify(tokens)) equals tokens', function(){
+            [
+                'accounts.1.checking.id',
+                'accounts{2()}checking.fn()',
+                'accounts.1.sav*.sort().0',
+                'accounts.0.^1.checking.id',
+                'accounts.0.~accounts.1.checking.id',
+                'accounts.1.{^3.propAry.0}',
+                'accounts.1.[test1],[test2].0',
+                'accounts.1."test1","test2".0',
+                '{accounts.1.test1},{accounts.1.test2}',
+                'accounts.%1.%2',
+                'accounts.1.checking.fnArg(%1,%2)',
+                'accounts.1{@1(%2)}id',
+                'accounts.1.test1.indexOf(@"op")',
+                'accounts.1.float.indexOf(@".")',
+                'accounts.0,1,3<common<toLowerCase()',
+                'accounts.[0],[1],[3]<[common]<toLowerCase()',
+                'accounts.0,1<comm*',
+                'accounts.0,1,3<{~commonProp}',
+                'people.*<id,name',
+                'people[1:]<name',
+                'accounts.**.common',
+                'accounts.1.checking.fnArg(1,-2.5,true,null,\'a,b\',%1,test1)',
+                'accounts.0.ary.slice(0)',
+                'accounts.%{idx}{@{fn}(%{key})}',
+                'people[?id > 1 && (name =~ /^J/i || !tags)]<name',
+                'people[?name == \'J\\]o\\\'hn\' || id == %1]',
+                'accounts<[?^length > 1.5]',
+                'accounts<**.sav*,test1',
+                'accounts.0.ary[-3::2]',
+                'accounts.0,1<ary<[::-1]',
+                '["John \\"Johnny\\" Doe"]',
+                'f\\(oo\\).b\\.ar',
+                '()()()'
+            ].forEach(function(path){
+                var tokens = ptk.parse(path);
+                expect(ptk.parse(ptk.stringify(tokens))).to.deep.equal(tokens);
+            });
+        });
+
+        it('should quote property names with special characters so they stay literal', function(){
+            var obj = { 'a*': { "it's": { 'c\\d': 'x' } } };
+            var path = ptk.stringify({t:['a*', "it's", 'c\\d']});
+            expect(ptk.get(obj, path)).to.equal('x');
+            expect(ptk.parse(path).t).to.deep.equal(['a*', "it's", 'c\\d']);
+        });
+
+        it('should use the current syntax', function(){
+            var tokens = ptk.parse('accounts[0],[1]<common.^x');
+            ptk.setSeparatorProperty('/');
+            ptk.setSeparatorCollection(';');
+            ptk.setPrefixParent('!');
+            expect(ptk.stringify(tokens)).to.equal('accounts/0;1<common/!x');
+            expect(ptk.parse(ptk.stringify(tokens))).to.deep.equal(tokens);
+        });
+
+        it('should escape instead of quoting when the syntax has no quotes', function(){
+            ptk.setSimpleOn('/');
+            expect(ptk.stringify({t:['a', 'b/c']})).to.equal('a/b\\/c');
+            expect(ptk.get({a: {'b/c': 1}}, ptk.stringify({t:['a', 'b/c']}))).to.equal(1);
+        });
+
+        it('should throw if the tokens use an operation missing from the current syntax', function(){
+            var tokens = ptk.parse('a.fn()');
+            ptk.setSimpleOn();
+            expect(function(){ ptk.stringify(tokens); }).to.throw(Error, 'stringify - current syntax does not support "call"');
+        });
+    });
+
+    describe('translate', function(){
+        var slashes, simple;
+
+        beforeEach(function(){
+            slashes = new PathToolkit();
+            slashes.setSeparatorProperty('/');
+            simple = new PathToolkit();
+            simple.setSimpleOn();
+        });
+
+        it('should convert a keypath from another instance\'s syntax', function(){
+            expect(ptk.translate('accounts/1/checking/id', slashes)).to.equal('accounts.1.checking.id');
+            expect(slashes.translate('accounts.1.checking.id', ptk)).to.equal('accounts/1/checking/id');
+            expect(slashes.translate('accounts.1<common.^x', ptk)).to.equal('accounts/1<common/^x');
+            expect(simple.translate('accounts[1].checking.id', ptk)).to.equal('accounts.1.checking.id');
+        });
+
+        it('should accept an options hash describing the source syntax', function(){
+            var opts = { separators: { '/': { exec: 'property' } }, prefixes: {}, containers: {} };
+            expect(ptk.translate('a/b.c/d', opts)).to.equal("a.'b.c'.d");
+        });
+
+        it('should produce keypaths that resolve to the same value', function(){
+            var str = slashes.translate('accounts.1{~accounts.3.propAry.0}', ptk);
+            expect(slashes.get(data, str)).to.equal(ptk.get(data, 'accounts.1{~accounts.3.propAry.0}'));
+        });
+
+        it('should throw if the target syntax lacks an operation used by the keypath', function(){
+            expect(function(){ simple.translate('accounts.1.checking.fn()', ptk); }).to.throw(Error, 'translate - current syntax does not support "call"');
+            expect(function(){ simple.translate('accounts{2()}', ptk); }).to.throw(Error, 'translate - current syntax does not support "evalProperty"');
+            expect(function(){ simple.translate('accounts.%1', ptk); }).to.throw(Error, 'translate - current syntax does not support "placeholder"');
+        });
+
+        it('should throw PathSyntaxError if the keypath is invalid in the source syntax', function(){
+            expect(function(){ slashes.translate('accounts[1', ptk); }).to.throw(PathToolkit.PathSyntaxError);
+        });
+    });
+
     describe('setOptions and resetOptions', function(){
         it('requires setCacheOn/Off to work for testing', function(){
             var path = 'x.y.z';
@@ -978,6 +2217,45 @@ describe( 'PathToolkit', function(){
                 expect(result).to.be.true;
            });
 
+           it('should create intermediate properties through prefixes, placeholders and eval properties', function(){
+                var obj = {a: {b: {}, name: 'k'}};
+                ptk.setForceOn();
+
+                expect(ptk.set(obj, 'a.b.^c.d', 1)).to.be.true;
+                expect(obj.a.c).to.deep.equal({d: 1});
+                expect(ptk.set(obj, 'a.%1.e', 2, 'n')).to.be.true;
+                expect(obj.a.n).to.deep.equal({e: 2});
+                expect(ptk.set(obj, 'a.%{x}.f', 3, {x: 'm'})).to.be.true;
+                expect(obj.a.m).to.deep.equal({f: 3});
+                expect(ptk.set(obj, 'a{name}.g', 4)).to.be.true;
+                expect(obj.a.k).to.deep.equal({g: 4});
+                expect(ptk.set(obj, '~z.y', 5)).to.be.true;
+                expect(obj.z).to.deep.equal({y: 5});
+           });
+
+           it('should create intermediate properties for collections and the each separator', function(){
+                var obj = {a: {}};
+                ptk.setForceOn();
+
+                expect(ptk.set(obj, 'a.x,y<z', 1)).to.be.true;
+                expect(obj.a).to.deep.equal({x: {z: 1}, y: {z: 1}});
+                obj = {list: [{}, {}]};
+                expect(ptk.set(obj, 'list<item<id', 'x')).to.be.true;
+                expect(obj.list).to.deep.equal([{item: {id: 'x'}}, {item: {id: 'x'}}]);
+                obj = {};
+                expect(ptk.setIn(obj, 'a.x,y<z', 1)).to.deep.equal({a: {x: {z: 1}, y: {z: 1}}});
+           });
+
+           it('should throw if it is unclear which property to create', function(){
+                ptk.setForceOn();
+                expect(function(){ ptk.set({a: {}}, 'a{b}.c', 1); }).to.throw(/\{b\}", which did not resolve to a property name/);
+                expect(function(){ ptk.set({a: {}}, 'a.b*.c', 1); }).to.throw(/"b\*", which is a wildcard and matched nothing/);
+                expect(function(){ ptk.set({}, 'a.x,y.z', 1); }).to.throw(/cannot set "z" in the list of matches before it/);
+                expect(function(){ ptk.set({a: [{}, {}]}, 'a.*.z', 1); }).to.throw(/cannot set "z" in the list of matches before it/);
+                expect(function(){ ptk.set({a: {}}, 'a.**.c', 1); }).to.throw(/"\*\*", which matched nothing/);
+                expect(function(){ ptk.set({}, 'a.**.c.d', 1); }).to.throw(/"\*\*", which matched nothing/);
+           });
+
            it('should NOT create intermediate properties if force is off', function(){
                 var str = 'accounts.1.newPropA.newPropB';
                 var newVal = 'new';
@@ -990,6 +2268,73 @@ describe( 'PathToolkit', function(){
 
         });
 
+        describe('forceArrays', function(){
+           it('should create arrays for unquoted numeric segments when forcing', function(){
+                var obj = {};
+                ptk.setOptions({force:true, forceArrays:true});
+
+                expect(ptk.set(obj, 'list.0.name', 'x')).to.be.true;
+                expect(obj).to.deep.equal({list: [{name: 'x'}]});
+
+                obj = {};
+                expect(ptk.set(obj, 'list[0].name,title', 'x')).to.be.true;
+                expect(obj).to.deep.equal({list: [{name: 'x', title: 'x'}]});
+
+                obj = {};
+                ptk.setSimpleOn();
+                expect(ptk.set(obj, 'list.0.name', 'x')).to.be.true;
+                expect(obj).to.deep.equal({list: [{name: 'x'}]});
+           });
+
+           it('should create objects for quoted numeric keys', function(){
+                var obj = {};
+                expect(ptk.getTokens('list["0"]')).to.deep.equal({t: ['list', '0'], simple: true, bindings: []});
+                expect(ptk.getTokens('list["-1"]')).to.deep.equal({t: ['list', {q: '-1'}], simple: false, bindings: []});
+                expect(ptk.get({a: {'-1': 5}}, "a.'-1'")).to.equal(5);
+                expect(ptk.get({a: {'-1': 5}}, 'a["-1"]')).to.equal(5);
+                expect(ptk.getTokens(ptk.stringify(ptk.getTokens('a["-1"]')))).to.deep.equal(ptk.getTokens('a["-1"]'));
+                expect(ptk.get({a: [1, 5]}, "a.'-1'")).to.be.undefined;
+                ptk.setForceOn();
+                ptk.setForceArraysOn();
+
+                expect(ptk.set(obj, 'list["0"].name', 'x')).to.be.true;
+                expect(obj).to.deep.equal({list: {'0': {name: 'x'}}});
+                expect(ptk.getTokens('list["0"]').t).to.deep.equal(['list', {q: '0'}]);
+                expect(ptk.getTokens(ptk.stringify(ptk.getTokens('list["0"].name'))).t).to.deep.equal(['list', {q: '0'}, 'name']);
+                expect(ptk.get(obj, 'list["0"].name')).to.equal('x');
+           });
+
+           it('should create objects for integers with leading zeros', function(){
+                var obj = {};
+                ptk.setForceOn();
+                ptk.setForceArraysOn();
+
+                expect(ptk.set(obj, 'a.01.b', 'x')).to.be.true;
+                expect(obj).to.deep.equal({a: {'01': {b: 'x'}}});
+                expect(ptk.set(obj, 'c.0.b', 'x')).to.be.true;
+                expect(obj.c).to.deep.equal([{b: 'x'}]);
+           });
+
+           it('should apply to other functions which create missing values', function(){
+                ptk.setForceOn();
+                ptk.setForceArrays(true);
+
+                expect(ptk.setIn({}, 'list.0.name', 'x')).to.deep.equal({list: [{name: 'x'}]});
+                expect(ptk.setIn({}, 'list["0"].name', 'x')).to.deep.equal({list: {'0': {name: 'x'}}});
+                var obj = {};
+                ptk.push(obj, 'list.0.tags', 'a');
+                expect(obj).to.deep.equal({list: [{tags: ['a']}]});
+           });
+
+           it('should create objects if forceArrays is off', function(){
+                var obj = {};
+                ptk.setForceOn();
+                ptk.setForceArraysOff();
+                ptk.set(obj, 'list.0.name', 'x');
+                expect(obj).to.deep.equal({list: {'0': {name: 'x'}}});
+           });
+        });
+
         describe('simple', function(){
            it('"true" should still process simple dot-separated string paths', function(){
                 var str = 'accounts.1.checking.id';
@@ -1101,6 +2446,115 @@ describe( 'PathToolkit', function(){
            });
         });
 
+        describe('safe', function(){
+           it('should reject calls, context placeholders and eval properties', function(){
+                var err;
+                ptk.setSafeOn();
+                expect(ptk.validate('accounts.1.checking.fnArg(savX)').expected).to.equal('no function call in safe mode');
+                expect(ptk.validate('accounts.1.checking.fnArg(savX)').offset).to.equal(25);
+                expect(ptk.validate('accounts.@1.id').expected).to.equal('no context placeholder in safe mode');
+                expect(ptk.validate('accounts.@{acct}.id').offset).to.equal(9);
+                expect(ptk.validate('accounts{2()}checking.id').expected).to.equal('no eval property in safe mode');
+                expect(ptk.validate('accounts.1.checking.id,fn()').offset).to.equal(25);
+                expect(ptk.validate('people[?name == ~accounts.0.ary.join()]').offset).to.equal(36);
+
+                try { ptk.get(data, 'accounts.1.checking.fnArg(savX)'); } catch(e){ err = e; }
+                expect(err).to.be.an.instanceOf(PathToolkit.PathSyntaxError);
+                expect(err.offset).to.equal(25);
+                expect(function(){ ptk.set(data, '@1.id', 5, data.accounts[1].checking); }).to.throw(PathToolkit.PathSyntaxError);
+                expect(function(){ ptk.getWithDefault(data, 'accounts{2()}', 'dflt'); }).to.throw(PathToolkit.PathSyntaxError);
+                expect(function(){ ptk.get(data, 'people[?name.toUpperCase()]'); }).to.throw(PathToolkit.PathSyntaxError, 'no function call in safe mode');
+           });
+
+           it('should reject token sets which use calls, context placeholders or eval properties', function(){
+                var other = new PathToolkit();
+                ptk.setSafeOn();
+                expect(function(){ ptk.get(data, other.getTokens('accounts.1.checking.fnArg(savX)')); }).to.throw(Error, 'get - no function call in safe mode');
+                expect(function(){ ptk.set(data, other.getTokens('@1.id'), 5, data.accounts[1].checking); }).to.throw(Error, 'set - no context placeholder in safe mode');
+                expect(function(){ ptk.get(data, other.getTokens('accounts{~commonProp}')); }).to.throw(Error, 'get - no eval property in safe mode');
+                expect(function(){ ptk.get(data, other.getTokens('people[?name.toUpperCase()]')); }).to.throw(Error, 'get - no function call in safe mode');
+                expect(function(){ ptk.has(data, other.getTokens('accounts.0.ary.join()')); }).to.throw(Error, 'has - no function call in safe mode');
+                expect(function(){ ptk.expand(data, other.getTokens('accounts{~commonProp}')); }).to.throw(Error, 'expand - no eval property in safe mode');
+                expect(ptk.get(data, other.getTokens('people[?id > 1]<name'))).to.deep.equal(['Jane', 'Mary']);
+           });
+
+           it('should still allow all other syntax', function(){
+                ptk.setSafe(true);
+                expect(ptk.get(data, 'accounts[1]["checking"]id')).to.equal(data.accounts[1].checking.id);
+                expect(ptk.get(data, 'accounts.%1.test1', '1')).to.equal(data.accounts[1].test1);
+                expect(ptk.get(data, 'accounts.0.ary.0,2')).to.deep.equal([9, 7]);
+                expect(ptk.get(data, 'people[?id > 1]<name')).to.deep.equal(['Jane', 'Mary']);
+                expect(ptk.get(data, 'people.*<name')).to.deep.equal(['John', 'Jane', 'Mary']);
+                expect(ptk.get(data, 'people.0.~people.2.name')).to.equal('Mary');
+           });
+
+           it('should check paths again after being enabled and keep its setting across syntax changes', function(){
+                var path = 'accounts.1.checking.fnArg(\'x\')';
+                expect(ptk.get(data, path)).to.equal('x');
+                ptk.setOptions({safe: true});
+                expect(function(){ ptk.get(data, path); }).to.throw(PathToolkit.PathSyntaxError);
+                ptk.setSimpleOn();
+                ptk.setSimpleOff();
+                expect(function(){ ptk.get(data, path); }).to.throw(PathToolkit.PathSyntaxError);
+                ptk.setSafeOff();
+                expect(ptk.get(data, path)).to.equal('x');
+           });
+        });
+
+        describe('protect', function(){
+           afterEach(function(){
+                delete Object.prototype.polluted;
+           });
+
+           it('should refuse to read or write through prototype properties by default', function(){
+                var obj = {};
+                expect(function(){ ptk.set(obj, '__proto__.polluted', true); }).to.throw(Error, 'set - property "__proto__" is not allowed while the "protect" option is on');
+                expect(function(){ ptk.set(obj, 'constructor.prototype.polluted', true); }).to.throw(Error, 'set - property "constructor"');
+                expect(function(){ ptk.set(obj, {t:['__proto__', 'polluted']}, true); }).to.throw(Error, 'set - property "__proto__"');
+                expect(function(){ ptk.get(data, 'accounts.2.prototype'); }).to.throw(Error, 'get - property "prototype"');
+                expect(function(){ ptk.get(data, 'accounts[1]["constructor"]name'); }).to.throw(Error, 'get - property "constructor"');
+                ptk.setForceOn();
+                expect(function(){ ptk.set(obj, 'a.__proto__.polluted', true); }).to.throw(Error, 'set - property "__proto__"');
+                expect(obj.a).to.deep.equal({});
+                expect({}.polluted).to.be.undefined;
+           });
+
+           it('should also refuse prototype properties matched by wildcards, placeholders and eval properties', function(){
+                var obj = {o: JSON.parse('{"__proto__": {"x": 1}, "other": 2}')};
+                expect(ptk.getPaths(obj, 'o.*')).to.deep.equal(['o.other']);
+                ptk.set(obj, 'o.*', {});
+                expect(obj.o.other).to.deep.equal({});
+                expect(obj.o.__proto__).to.deep.equal({x: 1});
+                expect(ptk.get(obj, 'o.oth*')).to.deep.equal([{}]);
+                expect(function(){ ptk.set({}, '%1.polluted', true, '__proto__'); }).to.throw(Error, 'set - property "__proto__"');
+                expect(function(){ ptk.set({key: 'constructor'}, '{key}.polluted', true); }).to.throw(Error, 'set - property "constructor"');
+                expect(function(){ ptk.set({}, 'a,__proto__', 1); }).to.throw(Error, 'set - property "__proto__"');
+                expect({}.polluted).to.be.undefined;
+           });
+
+           it('should read protected names which are own data properties', function(){
+                var list = {people: [{constructor: {name: 'a'}}, {constructor: {name: 'b'}}]};
+                expect(ptk.get({constructor: 'x'}, 'constructor')).to.equal('x');
+                expect(ptk.get({x: {constructor: {prototype: 1}}}, 'x.constructor.prototype')).to.equal(1);
+                expect(ptk.has({constructor: 'x'}, 'constructor')).to.be.true;
+                expect(ptk.get({x: {constructor: 1, cat: 2}}, 'x.c*')).to.deep.equal([2]);
+                expect(ptk.getPaths({a: {constructor: {x: 1}}}, '**.x')).to.deep.equal([]);
+                expect(ptk.getPaths({a: {constructor: {x: 1}}}, 'a.constructor.x')).to.deep.equal(['a.constructor.x']);
+                expect(ptk.flatten({constructor: 1})).to.deep.equal({constructor: 1});
+                expect(ptk.get(list, 'people[?constructor.name == \'b\']')).to.deep.equal([list.people[1]]);
+                expect(function(){ ptk.set({constructor: 'x'}, 'constructor', 'y'); }).to.throw(Error, 'set - property "constructor"');
+                expect(function(){ ptk.get({}, 'constructor'); }).to.throw(Error, 'get - property "constructor"');
+           });
+
+           it('should allow prototype properties when disabled', function(){
+                ptk.setProtectOff();
+                expect(ptk.get(data, 'accounts.1.constructor')).to.equal(Object);
+                expect(ptk.get(data, 'accounts.2.prototype')).to.equal(data.accounts[2].prototype);
+                ptk.setOptions({protect: true});
+                expect(function(){ ptk.get(data, 'accounts.1.constructor'); }).to.throw(Error);
+           });
+        });
+
         describe('defaultReturnVal', function(){
            it('should return custom default value if path evaluates to undefined', function(){
                 var str = 'accounts.1.asdfasdf.id';